@@ -0,0 +1,309 @@
+// Computer-Controlled Rival Snakes
+// A SnakeAI steers one of the engine's snakes with a pluggable strategy. Decisions only read the
+// engine and draw from its seeded generator, so rivals replay exactly like the rest of the game.
+
+// Difficulty tiers for rival snakes
+const aiDifficulties = {
+    easy: { strategy: 'greedy', mistakeRate: 0.1, description: 'Heads straight for the food' },
+    medium: { strategy: 'safe', mistakeRate: 0.03, description: 'Looks ahead to stay out of dead ends' },
+    hard: { strategy: 'astar', mistakeRate: 0, description: 'Plans the shortest safe path to the food' }
+};
+
+// Steering strategies, keyed by name; each returns a direction or null to keep going straight.
+// Add an entry here to plug in a new strategy.
+const aiStrategies = {
+    /**
+     * Take whichever safe move ends up closest to the food
+     * @param {SnakeAI} ai - AI doing the steering
+     * @param {Snake} snake - Snake to steer
+     * @param {Object} context - Board context from SnakeAI.createContext
+     * @returns {Object|null} Direction
+     */
+    greedy(ai, snake, context) {
+        const moves = ai.getMoves(snake, context);
+        return moves.length > 0 ? ai.closestToFood(moves, context).direction : null;
+    },
+
+    /**
+     * Greedy, but only among moves that leave enough room to fit the snake (flood-fill lookahead)
+     * @param {SnakeAI} ai - AI doing the steering
+     * @param {Snake} snake - Snake to steer
+     * @param {Object} context - Board context from SnakeAI.createContext
+     * @returns {Object|null} Direction
+     */
+    safe(ai, snake, context) {
+        const moves = ai.getMoves(snake, context);
+        if (moves.length === 0) {
+            return null;
+        }
+        
+        const roomy = ai.getRoomyMoves(snake, moves, context);
+        if (roomy.length > 0) {
+            return ai.closestToFood(ai.avoidHeads(roomy, context), context).direction;
+        }
+        
+        // Every move is a squeeze; take the one with the most space and hope the tail moves on
+        return moves.reduce((best, move) => (move.space > best.space ? move : best)).direction;
+    },
+
+    /**
+     * Follow the shortest path to the food, falling back to the safe strategy when there is none
+     * @param {SnakeAI} ai - AI doing the steering
+     * @param {Snake} snake - Snake to steer
+     * @param {Object} context - Board context from SnakeAI.createContext
+     * @returns {Object|null} Direction
+     */
+    astar(ai, snake, context) {
+        const direction = ai.findPath(snake.getHead(), context.food, context);
+        if (direction && snake.canMoveInDirection(direction)) {
+            const moves = ai.getRoomyMoves(snake, ai.getMoves(snake, context), context);
+            const step = ai.avoidHeads(moves, context).find(move => move.direction === direction);
+            if (step) {
+                return direction;
+            }
+        }
+        
+        return aiStrategies.safe(ai, snake, context);
+    }
+};
+
+class SnakeAI {
+    /**
+     * @param {string} [difficulty] - Difficulty tier (key into aiDifficulties)
+     */
+    constructor(difficulty = 'medium') {
+        this.difficulty = aiDifficulties[difficulty] ? difficulty : 'medium';
+        this.strategy = aiDifficulties[this.difficulty].strategy;
+        this.mistakeRate = aiDifficulties[this.difficulty].mistakeRate;
+    }
+
+    /**
+     * Pick the direction for a snake's next move
+     * @param {GameEngine} engine - Engine the snake plays in
+     * @param {number} index - Index of the snake to steer
+     * @returns {Object|null} Direction, or null to keep going straight
+     */
+    chooseDirection(engine, index) {
+        // Lower tiers now and then miss a turn entirely
+        if (this.mistakeRate > 0 && engine.random.next() < this.mistakeRate) {
+            return null;
+        }
+        
+        const strategy = aiStrategies[this.strategy] || aiStrategies.safe;
+        return strategy(this, engine.snakes[index], this.createContext(engine, index));
+    }
+
+    /**
+     * Gather what the strategies need to know about the board
+     * @param {GameEngine} engine - Engine the snake plays in
+     * @param {number} index - Index of the snake being steered
+     * @returns {Object} Board context
+     */
+    createContext(engine, index) {
+        const others = engine.getRivalsOf(index);
+        const blocked = new Set();
+        for (const snake of [engine.snakes[index], ...others]) {
+            for (const segment of snake.body) {
+                blocked.add(`${segment.x},${segment.y}`);
+            }
+        }
+        
+        // Cells another head could move into next tick, where a head-on crash may happen
+        const danger = new Set();
+        for (const other of others) {
+            for (const direction of Object.values(DIRECTIONS)) {
+                const cell = utils.getNeighbourPosition(other.getHead(), direction);
+                danger.add(`${cell.x},${cell.y}`);
+            }
+        }
+        
+        // Poison and bombs count as blocked cells
+        const hazards = new Set();
+        for (const food of engine.foods.getActiveItems()) {
+            if (food.isHazard()) {
+                hazards.add(`${food.getPosition().x},${food.getPosition().y}`);
+                blocked.add(`${food.getPosition().x},${food.getPosition().y}`);
+            }
+        }
+        
+        // Strategies chase the nearest food item that is safe to eat
+        const head = engine.snakes[index].getHead();
+        const foods = engine.foods.getActiveItems().filter(food => !food.isHazard()).map(food => food.getPosition());
+        const nearest = foods.reduce((best, position) => (!best ||
+            utils.calculateDistance(head, position) < utils.calculateDistance(head, best) ? position : best), null);
+        
+        return {
+            collisionDetector: engine.collisionDetector,
+            level: engine.level,
+            food: nearest,
+            others: others,
+            blocked: blocked,
+            hazards: hazards,
+            danger: danger
+        };
+    }
+
+    /**
+     * Get the moves that don't crash straight away, keeping off hazards unless there is no other way
+     * @param {Snake} snake - Snake to steer
+     * @param {Object} context - Board context
+     * @returns {Array} Moves as { position, direction }
+     */
+    getMoves(snake, context) {
+        const moves = context.collisionDetector.getSafePositions(snake, context.level, context.others)
+            .filter(move => move.canMove);
+        const clean = moves.filter(move => !context.hazards.has(`${move.position.x},${move.position.y}`));
+        return clean.length > 0 ? clean : moves;
+    }
+
+    /**
+     * Keep the moves that leave at least the snake's length of open space, measuring each move's space
+     * @param {Snake} snake - Snake to steer
+     * @param {Array} moves - Candidate moves
+     * @param {Object} context - Board context
+     * @returns {Array} Moves with room to spare
+     */
+    getRoomyMoves(snake, moves, context) {
+        const length = snake.getLength();
+        for (const move of moves) {
+            move.space = this.floodFill(move.position, context, length);
+        }
+        return moves.filter(move => move.space >= length);
+    }
+
+    /**
+     * Drop moves that could meet another head, unless that leaves nothing
+     * @param {Array} moves - Candidate moves
+     * @param {Object} context - Board context
+     * @returns {Array} Moves
+     */
+    avoidHeads(moves, context) {
+        const clear = moves.filter(move => !context.danger.has(`${move.position.x},${move.position.y}`));
+        return clear.length > 0 ? clear : moves;
+    }
+
+    /**
+     * Pick the move closest to the food, preferring to keep going straight on ties
+     * @param {Array} moves - Candidate moves (at least one)
+     * @param {Object} context - Board context
+     * @returns {Object} Chosen move
+     */
+    closestToFood(moves, context) {
+        if (!context.food) {
+            return moves[0];
+        }
+        
+        let best = moves[0];
+        let bestDistance = utils.calculateDistance(best.position, context.food);
+        for (let i = 1; i < moves.length; i++) {
+            const distance = utils.calculateDistance(moves[i].position, context.food);
+            if (distance < bestDistance) {
+                best = moves[i];
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Check if a cell can be moved through
+     * @param {Object} position - Position (already wrapped when portal walls are on)
+     * @param {Object} context - Board context
+     * @returns {boolean} True if the cell is open
+     */
+    isOpen(position, context) {
+        return utils.isValidPosition(position) &&
+               !context.blocked.has(`${position.x},${position.y}`) &&
+               !(context.level && context.level.isWall(position));
+    }
+
+    /**
+     * Count the open cells reachable from a position
+     * @param {Object} start - Starting cell
+     * @param {Object} context - Board context
+     * @param {number} limit - Stop counting once this many cells are found
+     * @returns {number} Reachable cell count (capped at the limit)
+     */
+    floodFill(start, context, limit) {
+        const seen = new Set([`${start.x},${start.y}`]);
+        const queue = [start];
+        
+        while (queue.length > 0 && seen.size < limit) {
+            const cell = queue.shift();
+            for (const direction of Object.values(DIRECTIONS)) {
+                const next = utils.getNeighbourPosition(cell, direction);
+                const key = `${next.x},${next.y}`;
+                if (!seen.has(key) && this.isOpen(next, context)) {
+                    seen.add(key);
+                    queue.push(next);
+                }
+            }
+        }
+        
+        return Math.min(seen.size, limit);
+    }
+
+    /**
+     * Find the shortest path to a target with A*
+     * @param {Object} start - Starting cell (the snake's head)
+     * @param {Object|null} target - Target cell
+     * @param {Object} context - Board context
+     * @returns {Object|null} Direction of the first step, or null if there is no path
+     */
+    findPath(start, target, context) {
+        if (!target) {
+            return null;
+        }
+        
+        const startKey = `${start.x},${start.y}`;
+        const targetKey = `${target.x},${target.y}`;
+        const cost = new Map([[startKey, 0]]);
+        const firstStep = new Map([[startKey, null]]);
+        const open = [{ position: start, key: startKey, estimate: utils.calculateDistance(start, target) }];
+        const closed = new Set();
+        
+        while (open.length > 0) {
+            // Small boards, so a linear scan for the best open node is plenty
+            let bestIndex = 0;
+            for (let i = 1; i < open.length; i++) {
+                if (open[i].estimate < open[bestIndex].estimate) {
+                    bestIndex = i;
+                }
+            }
+            const node = open.splice(bestIndex, 1)[0];
+            
+            if (node.key === targetKey) {
+                return firstStep.get(node.key);
+            }
+            if (closed.has(node.key)) {
+                continue;
+            }
+            closed.add(node.key);
+            
+            for (const direction of Object.values(DIRECTIONS)) {
+                const next = utils.getNeighbourPosition(node.position, direction);
+                const key = `${next.x},${next.y}`;
+                const nextCost = cost.get(node.key) + 1;
+                if (closed.has(key) || !this.isOpen(next, context) || nextCost >= (cost.has(key) ? cost.get(key) : Infinity)) {
+                    continue;
+                }
+                
+                cost.set(key, nextCost);
+                firstStep.set(key, firstStep.get(node.key) || direction);
+                open.push({ position: next, key: key, estimate: nextCost + utils.calculateDistance(next, target) });
+            }
+        }
+        
+        return null;
+    }
+}
+
+// Export rival AI
+if (typeof window !== 'undefined') {
+    window.SnakeAI = SnakeAI;
+    window.aiDifficulties = aiDifficulties;
+    window.aiStrategies = aiStrategies;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SnakeAI, aiDifficulties, aiStrategies };
+}
\ No newline at end of file
@@ -0,0 +1,181 @@
+// Screen Reader Announcements
+// The canvas means nothing to assistive technology, so what happens in the game is also written into
+// ARIA live regions: a polite one for the running commentary and an assertive one for danger ahead.
+
+// Announcement levels, each adding to the one before
+const announcerVerbosity = {
+    off: { rank: 0, description: 'Nothing is announced' },
+    minimal: { rank: 1, description: 'Game start, pause, game over and high scores' },
+    standard: { rank: 2, description: 'Also the score, where the next food is and danger ahead' },
+    verbose: { rank: 3, description: 'Also every item as it appears and what rivals eat' }
+};
+
+class Announcer {
+    constructor() {
+        this.politeElement = document.getElementById('announcer');
+        this.alertElement = document.getElementById('announcer-alert');
+        this.knownFood = new Set(); // items already announced
+        this.danger = null; // warning given for the current move, so it isn't repeated every tick
+    }
+
+    /**
+     * Check if announcements of a level are wanted
+     * @param {string} level - Level (key into announcerVerbosity)
+     * @returns {boolean} True if the chosen verbosity includes the level
+     */
+    isEnabled(level) {
+        const verbosity = announcerVerbosity[gameConfig.game.announcements] || announcerVerbosity.standard;
+        return verbosity.rank >= announcerVerbosity[level].rank;
+    }
+
+    /**
+     * Announce a message to screen readers
+     * @param {string} message - Message
+     * @param {string} [level] - Level it belongs to (key into announcerVerbosity)
+     * @param {boolean} [urgent] - Interrupt whatever is being read (danger warnings)
+     */
+    announce(message, level = 'standard', urgent = false) {
+        const element = urgent ? this.alertElement : this.politeElement;
+        if (!element || !this.isEnabled(level)) {
+            return;
+        }
+        
+        // Live regions only speak when their text changes, so a repeated message gets a trailing space
+        element.textContent = element.textContent === message ? `${message} ` : message;
+    }
+
+    /**
+     * Announce a new game and where the food is
+     * @param {GameEngine} engine - Engine being played
+     */
+    startGame(engine) {
+        this.knownFood = new Set(engine.foods.getActiveItems());
+        this.danger = null;
+        
+        const nearest = this.isEnabled('standard') ? this.describeNearestFood(engine) : null;
+        this.announce(nearest ? `Game started. ${nearest}` : 'Game started', 'minimal');
+    }
+
+    /**
+     * Announce what a tick changed: meals and the score, new items, and danger ahead of player 1
+     * @param {GameEngine} engine - Engine being played
+     * @param {Object} result - Result of the tick from GameEngine.step
+     * @param {Function} getPlayerName - Display name of a snake's owner, by index
+     */
+    describeTick(engine, result, getPlayerName) {
+        const messages = [];
+        
+        // Player 1's meals always; other snakes' only when verbose
+        for (const meal of result.meals) {
+            if (meal.eater === 0 || this.isEnabled('verbose')) {
+                messages.push(`${getPlayerName(meal.eater)} ate ${this.describeFoodType(meal.food.foodType)}, score ${engine.scores[meal.eater]}`);
+            }
+        }
+        
+        const items = engine.foods.getActiveItems();
+        if (this.isEnabled('verbose')) {
+            for (const food of items) {
+                if (!this.knownFood.has(food)) {
+                    messages.push(`${this.describeFoodType(food.getType())} appeared ${this.describePosition(food.getPosition(), engine.snakes[0].getHead())}`);
+                }
+            }
+        }
+        this.knownFood = new Set(items);
+        
+        // After a meal, say where to go next
+        if (result.meals.some(meal => meal.eater === 0)) {
+            const nearest = this.describeNearestFood(engine);
+            if (nearest) {
+                messages.push(`Next: ${nearest}`);
+            }
+        }
+        
+        if (messages.length > 0) {
+            this.announce(messages.join('. '));
+        }
+        
+        this.warnOfDanger(engine);
+    }
+
+    /**
+     * Warn once when player 1's next move would end the game
+     * @param {GameEngine} engine - Engine being played
+     */
+    warnOfDanger(engine) {
+        if (!engine.alive[0]) {
+            return;
+        }
+        
+        const prediction = engine.collisionDetector.predictCollision(engine.snakes[0], engine.foods.getItems(), engine.level, engine.getRivalsOf(0));
+        let danger = null;
+        if (prediction.boundary.detected || prediction.obstacle.detected) {
+            danger = 'Wall ahead!';
+        } else if (prediction.self.detected) {
+            danger = 'Your tail ahead!';
+        } else if (prediction.snake.detected) {
+            danger = 'Snake ahead!';
+        } else if (prediction.food.detected && prediction.food.foodType === 'bomb') {
+            danger = 'Bomb ahead!';
+        }
+        
+        if (danger && danger !== this.danger) {
+            this.announce(danger, 'standard', true);
+        }
+        this.danger = danger;
+    }
+
+    /**
+     * Describe the safe food item closest to player 1
+     * @param {GameEngine} engine - Engine being played
+     * @returns {string|null} Description, or null with no food on the board
+     */
+    describeNearestFood(engine) {
+        const head = engine.snakes[0].getHead();
+        const foods = engine.foods.getActiveItems().filter(food => !food.isHazard());
+        const nearest = foods.reduce((best, food) => (!best ||
+            utils.calculateDistance(head, food.getPosition()) < utils.calculateDistance(head, best.getPosition()) ? food : best), null);
+        
+        return nearest ? `${this.describeFoodType(nearest.getType())} ${this.describePosition(nearest.getPosition(), head)}` : null;
+    }
+
+    /**
+     * Name a food type the way a player would
+     * @param {string} type - Food type
+     * @returns {string} Spoken name
+     */
+    describeFoodType(type) {
+        if (type === 'bonus' || type === 'mega') {
+            return `${type} food`;
+        }
+        if (type === 'poison' || type === 'bomb') {
+            return type;
+        }
+        if (powerUps[type]) {
+            return `${powerUps[type].label.toLowerCase()} power-up`;
+        }
+        return 'food'; // normal food, and decoys, which look just like it
+    }
+
+    /**
+     * Describe where a cell is from the snake's head, e.g. "3 up, 5 right"
+     * @param {Object} position - Cell to describe
+     * @param {Object} head - Snake's head
+     * @returns {string} Relative position
+     */
+    describePosition(position, head) {
+        const dx = position.x - head.x;
+        const dy = position.y - head.y;
+        const parts = [];
+        if (dy !== 0) {
+            parts.push(`${Math.abs(dy)} ${dy < 0 ? 'up' : 'down'}`);
+        }
+        if (dx !== 0) {
+            parts.push(`${Math.abs(dx)} ${dx < 0 ? 'left' : 'right'}`);
+        }
+        return parts.length > 0 ? parts.join(', ') : 'right here';
+    }
+}
+
+// Export Announcer class and verbosity levels
+window.Announcer = Announcer;
+window.announcerVerbosity = announcerVerbosity;
\ No newline at end of file
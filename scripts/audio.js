@@ -0,0 +1,63 @@
+// Sound Effects System
+class SoundEffects {
+    constructor() {
+        this.context = null;
+        
+        // Short synthesized tones so the game needs no audio files
+        this.sounds = {
+            eat: { frequency: 660, duration: 0.08, type: 'square' },
+            special: { frequency: 880, duration: 0.15, type: 'triangle' },
+            gameOver: { frequency: 140, duration: 0.5, type: 'sawtooth' }
+        };
+    }
+
+    /**
+     * Get the audio context, creating it on first use
+     * @returns {AudioContext|null} Audio context or null if unsupported
+     */
+    getContext() {
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) {
+                return null;
+            }
+            this.context = new AudioContextClass();
+        }
+        return this.context;
+    }
+
+    /**
+     * Play a named sound if sounds are enabled
+     * @param {string} name - Sound name
+     */
+    play(name) {
+        const sound = this.sounds[name];
+        if (!gameConfig.game.enableSounds || !sound) {
+            return;
+        }
+        
+        const context = this.getContext();
+        if (!context) {
+            return;
+        }
+        
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const now = context.currentTime;
+        
+        oscillator.type = sound.type;
+        oscillator.frequency.setValueAtTime(sound.frequency, now);
+        
+        // Fade out to avoid clicks
+        gain.gain.setValueAtTime(0.1, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + sound.duration);
+        
+        oscillator.connect(gain);
+        gain.connect(context.destination);
+        oscillator.start(now);
+        oscillator.stop(now + sound.duration);
+    }
+}
+
+// Export SoundEffects class (the game creates the instance once the DOM is ready)
+window.SoundEffects = SoundEffects;
\ No newline at end of file
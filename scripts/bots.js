@@ -0,0 +1,387 @@
+// Bot Controllers
+// A controller steers a snake from a plain-data observation of the board, so scripts can play
+// without going through the input handler. Any object with these methods is a controller:
+//
+//   decide(observation)  returns 'up', 'down', 'left', 'right', a DIRECTIONS entry, or null to keep going
+//   reset(observation)   optional; called once before the first tick of each game
+//
+// Observation (rebuilt every tick, safe to copy or serialise):
+// {
+//     tick: 12,
+//     score: 30,
+//     scores: [30],                                  // every snake's score, the bot's own included
+//     board: { columns: 30, rows: 30, wrap: false },
+//     snake: { body: [{ x, y }, ...], direction: 'right', length: 6 },   // head first
+//     opponents: [{ body, direction, length }],      // other snakes still in the game
+//     food: [{ x, y, type, value }],                 // hazards too: 'poison' (negative value) and 'bomb'
+//     obstacles: [{ x, y }, ...]                     // level walls
+// }
+
+/**
+ * Build the observation a controller sees for one snake
+ * @param {GameEngine} engine - Engine being played
+ * @param {number} [index] - Snake the observation is for
+ * @returns {Object} Observation
+ */
+function createObservation(engine, index = 0) {
+    const describeSnake = snake => ({
+        body: snake.body.map(segment => ({ x: segment.x, y: segment.y })),
+        direction: snake.direction.name,
+        length: snake.getLength()
+    });
+    
+    const food = engine.foods.getActiveItems().map(item => {
+        const position = item.getPosition();
+        return { x: position.x, y: position.y, type: item.getType(), value: item.getValue() };
+    });
+    
+    return {
+        tick: engine.tickCount,
+        score: engine.scores[index],
+        scores: [...engine.scores],
+        board: {
+            columns: gameConfig.board.columns,
+            rows: gameConfig.board.rows,
+            wrap: gameConfig.board.wrap
+        },
+        snake: describeSnake(engine.snakes[index]),
+        opponents: engine.getRivalsOf(index).map(describeSnake),
+        food: food,
+        obstacles: engine.level ? engine.level.getWalls().map(wall => ({ x: wall.x, y: wall.y })) : []
+    };
+}
+
+/**
+ * Turn a controller's decision into a direction
+ * @param {string|Object|null} decision - Direction name, direction object or null
+ * @returns {Object|null} Direction, or null to keep going
+ */
+function resolveDirection(decision) {
+    if (!decision) {
+        return null;
+    }
+    return typeof decision === 'string' ? utils.getDirectionByName(decision) : utils.getDirectionByName(decision.name);
+}
+
+/**
+ * Play one headless game with a controller steering player 1
+ * @param {Object} controller - Controller to play with
+ * @param {Object} [options] - Run options
+ * @param {number|string} [options.seed] - Seed for the game (random if omitted)
+ * @param {number} [options.maxTicks] - Stop after this many ticks (default: the open cells squared)
+ * @param {Level} [options.level] - Level to play (the open board if omitted)
+ * @param {boolean} [options.validate] - Check every live snake's invariants each tick (for soak tests)
+ * @param {boolean} [options.hazards] - Spawn poison and bombs too (left out by default, so a board can be filled)
+ * @returns {Object} Result: score, ticks, length, seed, whether the board was filled and why it stopped
+ */
+function runBot(controller, options = {}) {
+    // Hazards land anywhere, including in front of a snake with nowhere else to go
+    const spawnTable = gameConfig.food.spawnTable;
+    if (!options.hazards) {
+        gameConfig.food.spawnTable = spawnTable.filter(entry => entry.type !== 'poison' && entry.type !== 'bomb');
+    }
+    
+    try {
+        return playBot(controller, options);
+    } finally {
+        gameConfig.food.spawnTable = spawnTable;
+    }
+}
+
+/**
+ * Play the game for runBot with the spawn table already chosen
+ * @param {Object} controller - Controller to play with
+ * @param {Object} options - Run options (see runBot)
+ * @returns {Object} Result (see runBot)
+ */
+function playBot(controller, options) {
+    const engine = new GameEngine();
+    engine.setLevel(options.level || null);
+    engine.reset(options.seed);
+    
+    // Every open cell taken means there is nowhere left for food: the game is won
+    const wallCount = engine.level ? engine.level.getWalls().length : 0;
+    const openCells = gameConfig.board.columns * gameConfig.board.rows - wallCount;
+    
+    // A cycle through every cell reaches each meal within one lap, and there are at most as many
+    // meals as cells, so by default a Hamiltonian bot always has the time to fill the board
+    const maxTicks = options.maxTicks || openCells * openCells;
+    
+    if (controller.reset) {
+        controller.reset(createObservation(engine));
+    }
+    
+    let stopReason = 'maxTicks';
+    while (engine.tickCount < maxTicks) {
+        const direction = resolveDirection(controller.decide(createObservation(engine)));
+        if (direction) {
+            engine.changeDirection(direction);
+        }
+        engine.step();
+        
+        // A crash is an ordinary end of the game, not a broken invariant, so it is checked first
+        if (engine.isOver()) {
+            stopReason = engine.cleared ? 'cleared' : 'crashed';
+            break;
+        }
+        
+        if (options.validate) {
+            const validation = engine.validate();
+            if (!validation.valid) {
+                throw new Error(`Snake invariant broken at tick ${engine.tickCount}: ${validation.issues.join(', ')}`);
+            }
+        }
+        if (engine.snake.getLength() >= openCells) {
+            stopReason = 'filled';
+            break;
+        }
+    }
+    
+    return {
+        score: engine.score,
+        ticks: engine.tickCount,
+        length: engine.snake.getLength(),
+        seed: engine.seed,
+        filled: stopReason === 'filled',
+        stopReason: stopReason
+    };
+}
+
+/**
+ * Play several controllers on the same seeds and rank them by average score
+ * @param {Object} controllers - Controllers keyed by name
+ * @param {Object} [options] - Tournament options (runBot options plus games or seeds)
+ * @param {number} [options.games] - Games per controller, seeded 1..games (default 10)
+ * @param {Array} [options.seeds] - Explicit seeds to play instead
+ * @returns {Array} Standings, best first: { name, averageScore, averageTicks, crashes, results }
+ */
+function runTournament(controllers, options = {}) {
+    const seeds = options.seeds || Array.from({ length: options.games || 10 }, (_, i) => i + 1);
+    
+    const standings = Object.entries(controllers).map(([name, controller]) => {
+        const results = seeds.map(seed => runBot(controller, { ...options, seed: seed }));
+        const total = key => results.reduce((sum, result) => sum + result[key], 0);
+        return {
+            name: name,
+            averageScore: total('score') / results.length,
+            averageTicks: total('ticks') / results.length,
+            crashes: results.filter(result => result.stopReason === 'crashed').length,
+            results: results
+        };
+    });
+    
+    return standings.sort((a, b) => b.averageScore - a.averageScore);
+}
+
+// Reference bot: follows a Hamiltonian cycle (a closed path through every cell exactly once).
+// Chasing its own tail around the cycle the snake can never hit itself, so on an open board with
+// an even number of rows or columns it is guaranteed to fill the board, however slowly.
+class HamiltonianBot {
+    constructor() {
+        this.columns = 0;
+        this.rows = 0;
+        this.successors = null; // "x,y" -> next cell on the cycle
+    }
+
+    /**
+     * Build the cycle for the board and orient it along the snake's starting body
+     * @param {Object} observation - Observation at the start of the game
+     */
+    reset(observation) {
+        this.buildCycle(observation.board.columns, observation.board.rows);
+        
+        // The snake has to travel the cycle head first; if its neck is the next cell, go the other way round
+        const [head, neck] = observation.snake.body;
+        const next = this.successors && this.successors.get(`${head.x},${head.y}`);
+        if (next && neck && next.x === neck.x && next.y === neck.y) {
+            this.reverseCycle();
+        }
+    }
+
+    /**
+     * Pick the next move: a jump along the cycle past a bomb, the next cell on the cycle, or any
+     * safe cell when there is no cycle to follow
+     * @param {Object} observation - Current observation
+     * @returns {string|null} Direction name
+     */
+    decide(observation) {
+        if (observation.board.columns !== this.columns || observation.board.rows !== this.rows) {
+            this.reset(observation);
+        }
+        
+        const head = observation.snake.body[0];
+        const next = this.successors && this.successors.get(`${head.x},${head.y}`);
+        if (next) {
+            // A bomb ahead on the cycle is jumped over as soon as a neighbour further along allows it
+            const shortcut = this.findShortcut(head, observation);
+            if (shortcut) {
+                return shortcut;
+            }
+            
+            // Otherwise stay on the cycle even with a bomb in the way: leaving it breaks the order the
+            // body lies in, and that ends in a crash into itself sooner or later
+            if (this.isFree(next, observation) || this.isBomb(next, observation)) {
+                return this.getDirectionName(head, next);
+            }
+        }
+        
+        // Off the cycle (odd-sized board, walls or a crowded start): take the first cell that is free
+        for (const direction of Object.values(DIRECTIONS)) {
+            const cell = utils.getNeighbourPosition(head, direction);
+            if (direction.name !== utils.getOppositeDirection(utils.getDirectionByName(observation.snake.direction)).name &&
+                this.isFree(cell, observation)) {
+                return direction.name;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Build a cycle snaking row by row, returning up the first column
+     * Grids where both sides are odd have no Hamiltonian cycle; the bot then only avoids crashes.
+     * @param {number} columns - Board columns
+     * @param {number} rows - Board rows
+     */
+    buildCycle(columns, rows) {
+        this.columns = columns;
+        this.rows = rows;
+        this.successors = null;
+        
+        const transpose = rows % 2 !== 0;
+        const width = transpose ? rows : columns;
+        const height = transpose ? columns : rows;
+        if (height % 2 !== 0 || width < 2) {
+            return;
+        }
+        
+        // Row 0 runs right from column 0, the remaining rows zigzag over columns 1+, and column 0 leads back up
+        const path = [];
+        for (let y = 0; y < height; y++) {
+            const xs = [];
+            for (let x = y === 0 ? 0 : 1; x < width; x++) {
+                xs.push(x);
+            }
+            if (y % 2 === 1) {
+                xs.reverse();
+            }
+            xs.forEach(x => path.push({ x, y }));
+        }
+        for (let y = height - 1; y > 0; y--) {
+            path.push({ x: 0, y });
+        }
+        
+        const cells = transpose ? path.map(cell => ({ x: cell.y, y: cell.x })) : path;
+        this.successors = new Map();
+        cells.forEach((cell, i) => {
+            this.successors.set(`${cell.x},${cell.y}`, cells[(i + 1) % cells.length]);
+        });
+    }
+
+    /**
+     * Travel the cycle in the opposite direction
+     */
+    reverseCycle() {
+        const reversed = new Map();
+        for (const [key, next] of this.successors) {
+            const [x, y] = key.split(',').map(Number);
+            reversed.set(`${next.x},${next.y}`, { x, y });
+        }
+        this.successors = reversed;
+    }
+
+    /**
+     * Find a neighbour further along the cycle than a bomb, with none of the body in between
+     * Jumping there keeps the whole body behind the head, so following the cycle stays safe.
+     * @param {Object} head - Snake's head
+     * @param {Object} observation - Current observation
+     * @returns {string|null} Direction name, or null with no bomb ahead or no way past it
+     */
+    findShortcut(head, observation) {
+        if (!observation.food.some(item => item.type === 'bomb')) {
+            return null;
+        }
+        
+        const key = cell => `${cell.x},${cell.y}`;
+        const body = new Set(observation.snake.body.slice(0, -1).map(key));
+        // Keyed by cell, remembering the direction: with portal walls a neighbour can be across the board
+        const neighbours = new Map();
+        for (const direction of Object.values(DIRECTIONS)) {
+            const cell = utils.getNeighbourPosition(head, direction);
+            if (this.isFree(cell, observation)) {
+                neighbours.set(key(cell), direction.name);
+            }
+        }
+        
+        let passedBomb = false;
+        for (let cell = this.successors.get(key(head)); cell && key(cell) !== key(head); cell = this.successors.get(key(cell))) {
+            if (body.has(key(cell))) {
+                return null;
+            }
+            if (this.isBomb(cell, observation)) {
+                passedBomb = true;
+            } else if (passedBomb && neighbours.has(key(cell))) {
+                return neighbours.get(key(cell));
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check if a cell holds a bomb
+     * @param {Object} cell - Cell to check
+     * @param {Object} observation - Current observation
+     * @returns {boolean} True if a bomb is there
+     */
+    isBomb(cell, observation) {
+        return observation.food.some(item => item.type === 'bomb' && item.x === cell.x && item.y === cell.y);
+    }
+
+    /**
+     * Check if a cell is free to move into (the tail moves away, so it counts as free; bombs never are)
+     * @param {Object} cell - Cell to check
+     * @param {Object} observation - Current observation
+     * @returns {boolean} True if free
+     */
+    isFree(cell, observation) {
+        const matches = position => position.x === cell.x && position.y === cell.y;
+        if (!utils.isValidPosition(cell) || observation.obstacles.some(matches)) {
+            return false;
+        }
+        if (this.isBomb(cell, observation)) {
+            return false;
+        }
+        if (observation.snake.body.slice(0, -1).some(matches)) {
+            return false;
+        }
+        return !observation.opponents.some(opponent => opponent.body.some(matches));
+    }
+
+    /**
+     * Get the direction from one cell to a neighbouring cell
+     * @param {Object} from - Current cell
+     * @param {Object} to - Neighbouring cell
+     * @returns {string} Direction name
+     */
+    getDirectionName(from, to) {
+        const direction = Object.values(DIRECTIONS).find(candidate => candidate.x === to.x - from.x && candidate.y === to.y - from.y);
+        return direction.name;
+    }
+}
+
+// Built-in bots, by name (used by the ?bot= URL parameter)
+const botControllers = {
+    hamiltonian: { create: () => new HamiltonianBot(), description: 'Follows a cycle through every cell and fills the board' }
+};
+
+// Export bot API
+if (typeof window !== 'undefined') {
+    window.createObservation = createObservation;
+    window.resolveDirection = resolveDirection;
+    window.runBot = runBot;
+    window.runTournament = runTournament;
+    window.HamiltonianBot = HamiltonianBot;
+    window.botControllers = botControllers;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createObservation, resolveDirection, runBot, runTournament, HamiltonianBot, botControllers };
+}
\ No newline at end of file
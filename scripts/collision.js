@@ -18,6 +18,11 @@ class CollisionDetector {
             side: null
         };
 
+        // Portal walls have no boundary to hit; moves are wrapped before they get here
+        if (gameConfig.board.wrap) {
+            return collision;
+        }
+
         // Check left boundary
         if (position.x < 0) {
             collision.detected = true;
@@ -46,6 +51,30 @@ class CollisionDetector {
         return collision;
     }
 
+    /**
+     * Check for collision with a level's wall cells
+     * @param {Object} position - Position to check
+     * @param {Level} [level] - Current level (no obstacles without one)
+     * @returns {Object} Collision result
+     */
+    checkObstacleCollision(position, level = null) {
+        const collision = {
+            detected: false,
+            type: 'obstacle',
+            position: position
+        };
+
+        if (level && level.isWall(position)) {
+            collision.detected = true;
+        }
+
+        if (collision.detected && this.debugMode) {
+            this.logCollision(collision);
+        }
+
+        return collision;
+    }
+
     /**
      * Check for self collision with snake body
      * @param {Snake} snake - Snake instance
@@ -79,25 +108,107 @@ class CollisionDetector {
     }
 
     /**
-     * Check for food collision
+     * Check for the snake's head running into another snake's body
+     * @param {Snake} snake - Snake instance
+     * @param {Array} [others] - Other snakes on the board
+     * @returns {Object} Collision result
+     */
+    checkSnakeCollision(snake, others = []) {
+        const collision = {
+            detected: false,
+            type: 'snake',
+            position: snake.getHead(),
+            otherIndex: -1,
+            segmentIndex: -1
+        };
+
+        const head = snake.getHead();
+
+        for (let i = 0; i < others.length && !collision.detected; i++) {
+            const body = others[i].getBodyWithoutHead();
+            for (let j = 0; j < body.length; j++) {
+                if (utils.positionsEqual(head, body[j])) {
+                    collision.detected = true;
+                    collision.otherIndex = i;
+                    collision.segmentIndex = j + 1; // +1 because we excluded head
+                    break;
+                }
+            }
+        }
+
+        if (collision.detected && this.debugMode) {
+            this.logCollision(collision);
+        }
+
+        return collision;
+    }
+
+    /**
+     * Check for a head-on collision with another snake
+     * Heads meet either by entering the same cell or by passing through each other (swapping cells).
      * @param {Snake} snake - Snake instance
-     * @param {Food} food - Food instance
+     * @param {Array} [others] - Other snakes on the board
      * @returns {Object} Collision result
      */
+    checkHeadOnCollision(snake, others = []) {
+        const collision = {
+            detected: false,
+            type: 'headOn',
+            position: snake.getHead(),
+            otherIndex: -1,
+            swapped: false
+        };
+
+        const head = snake.getHead();
+        const neck = snake.body[1];
+
+        for (let i = 0; i < others.length; i++) {
+            const otherHead = others[i].getHead();
+            const otherNeck = others[i].body[1];
+            const sameCell = utils.positionsEqual(head, otherHead);
+            const swapped = Boolean(neck && otherNeck) &&
+                            utils.positionsEqual(head, otherNeck) &&
+                            utils.positionsEqual(otherHead, neck);
+
+            if (sameCell || swapped) {
+                collision.detected = true;
+                collision.otherIndex = i;
+                collision.swapped = swapped;
+                break;
+            }
+        }
+
+        if (collision.detected && this.debugMode) {
+            this.logCollision(collision);
+        }
+
+        return collision;
+    }
+
+    /**
+     * Check for food collision
+     * @param {Snake} snake - Snake instance
+     * @param {Food|Array} food - Food instance (or array of food items)
+     * @returns {Object} Collision result (foodIndex is the eaten item's index in the array)
+     */
     checkFoodCollision(snake, food) {
+        const items = Array.isArray(food) ? food : [food];
+        const foodIndex = items.findIndex(item => item.isActive() && item.isEaten(snake.getHead()));
+        const eaten = items[foodIndex];
         const collision = {
             detected: false,
             type: 'food',
             position: snake.getHead(),
-            foodPosition: food.getPosition(),
-            foodType: food.getType(),
+            foodIndex: foodIndex,
+            foodPosition: eaten ? eaten.getPosition() : null,
+            foodType: eaten ? eaten.getType() : null,
             points: 0
         };
 
-        if (food.isActive() && food.isEaten(snake.getHead())) {
+        if (eaten) {
             collision.detected = true;
-            collision.points = food.getValue();
-            collision.specialEffect = food.getSpecialEffect();
+            collision.points = eaten.getValue();
+            collision.specialEffect = eaten.getSpecialEffect();
         }
 
         if (collision.detected && this.debugMode) {
@@ -110,13 +221,18 @@ class CollisionDetector {
     /**
      * Check all collisions for a snake
      * @param {Snake} snake - Snake instance
-     * @param {Food} food - Food instance
+     * @param {Food|Array} food - Food instance (or array of food items)
+     * @param {Level} [level] - Current level
+     * @param {Array} [others] - Other snakes on the board (versus games)
      * @returns {Object} All collision results
      */
-    checkAllCollisions(snake, food) {
+    checkAllCollisions(snake, food, level = null, others = []) {
         const results = {
             boundary: this.checkBoundaryCollision(snake.getHead()),
+            obstacle: this.checkObstacleCollision(snake.getHead(), level),
             self: this.checkSelfCollision(snake),
+            snake: this.checkSnakeCollision(snake, others),
+            headOn: this.checkHeadOnCollision(snake, others),
             food: this.checkFoodCollision(snake, food),
             hasAnyCollision: false,
             gameEnding: false
@@ -124,11 +240,15 @@ class CollisionDetector {
 
         // Determine if any collision occurred
         results.hasAnyCollision = results.boundary.detected || 
+                                 results.obstacle.detected || 
                                  results.self.detected || 
+                                 results.snake.detected || 
+                                 results.headOn.detected || 
                                  results.food.detected;
 
         // Determine if collision ends the game
-        results.gameEnding = results.boundary.detected || results.self.detected;
+        results.gameEnding = results.boundary.detected || results.obstacle.detected || results.self.detected ||
+                             results.snake.detected || results.headOn.detected;
 
         return results;
     }
@@ -136,20 +256,28 @@ class CollisionDetector {
     /**
      * Predict collision for next move
      * @param {Snake} snake - Snake instance
-     * @param {Food} food - Food instance
+     * @param {Food|Array} food - Food instance (or array of food items)
+     * @param {Level} [level] - Current level
+     * @param {Array} [others] - Other snakes on the board
      * @returns {Object} Predicted collision results
      */
-    predictCollision(snake, food) {
+    predictCollision(snake, food, level = null, others = []) {
+        // Already wrapped onto the board when portal walls are on
         const nextHead = snake.getNextHeadPosition();
         
         const predictions = {
             boundary: this.checkBoundaryCollision(nextHead),
+            obstacle: this.checkObstacleCollision(nextHead, level),
             self: this.checkSelfCollisionAtPosition(nextHead, snake),
+            snake: this.checkSnakesAtPosition(nextHead, others),
             food: this.checkFoodCollisionAtPosition(nextHead, food),
             willEndGame: false
         };
 
-        predictions.willEndGame = predictions.boundary.detected || predictions.self.detected;
+        predictions.willEndGame = predictions.boundary.detected ||
+                                  predictions.obstacle.detected ||
+                                  predictions.self.detected ||
+                                  predictions.snake.detected;
 
         return predictions;
     }
@@ -180,26 +308,58 @@ class CollisionDetector {
         return collision;
     }
 
+    /**
+     * Check other snakes at specific position
+     * @param {Object} position - Position to check
+     * @param {Array} [others] - Other snakes on the board
+     * @returns {Object} Collision result
+     */
+    checkSnakesAtPosition(position, others = []) {
+        const collision = {
+            detected: false,
+            type: 'snake',
+            position: position,
+            otherIndex: -1,
+            segmentIndex: -1
+        };
+
+        // Check against every other snake's entire body (including its head)
+        for (let i = 0; i < others.length && !collision.detected; i++) {
+            const segmentIndex = others[i].body.findIndex(segment => utils.positionsEqual(position, segment));
+            if (segmentIndex !== -1) {
+                collision.detected = true;
+                collision.otherIndex = i;
+                collision.segmentIndex = segmentIndex;
+            }
+        }
+
+        return collision;
+    }
+
     /**
      * Check food collision at specific position
      * @param {Object} position - Position to check
-     * @param {Food} food - Food instance
+     * @param {Food|Array} food - Food instance (or array of food items)
      * @returns {Object} Collision result
      */
     checkFoodCollisionAtPosition(position, food) {
+        const items = Array.isArray(food) ? food : [food];
+        const foodIndex = items.findIndex(item => item.isActive() && utils.positionsEqual(position, item.getPosition()));
+        const eaten = items[foodIndex];
         const collision = {
             detected: false,
             type: 'food',
             position: position,
-            foodPosition: food.getPosition(),
-            foodType: food.getType(),
+            foodIndex: foodIndex,
+            foodPosition: eaten ? eaten.getPosition() : null,
+            foodType: eaten ? eaten.getType() : null,
             points: 0
         };
 
-        if (food.isActive() && utils.positionsEqual(position, food.getPosition())) {
+        if (eaten) {
             collision.detected = true;
-            collision.points = food.getValue();
-            collision.specialEffect = food.getSpecialEffect();
+            collision.points = eaten.getValue();
+            collision.specialEffect = eaten.getSpecialEffect();
         }
 
         return collision;
@@ -209,21 +369,28 @@ class CollisionDetector {
      * Check if a position is safe (no collisions except food)
      * @param {Object} position - Position to check
      * @param {Snake} snake - Snake instance
+     * @param {Level} [level] - Current level
+     * @param {Array} [others] - Other snakes on the board
      * @returns {boolean} True if position is safe
      */
-    isPositionSafe(position, snake) {
+    isPositionSafe(position, snake, level = null, others = []) {
         const boundaryCollision = this.checkBoundaryCollision(position);
+        const obstacleCollision = this.checkObstacleCollision(position, level);
         const selfCollision = this.checkSelfCollisionAtPosition(position, snake);
+        const snakeCollision = this.checkSnakesAtPosition(position, others);
         
-        return !boundaryCollision.detected && !selfCollision.detected;
+        return !boundaryCollision.detected && !obstacleCollision.detected && !selfCollision.detected &&
+               !snakeCollision.detected;
     }
 
     /**
      * Get all safe positions around current snake head
      * @param {Snake} snake - Snake instance
+     * @param {Level} [level] - Current level
+     * @param {Array} [others] - Other snakes on the board
      * @returns {Array} Array of safe positions with directions
      */
-    getSafePositions(snake) {
+    getSafePositions(snake, level = null, others = []) {
         const head = snake.getHead();
         const safePositions = [];
         
@@ -231,12 +398,9 @@ class CollisionDetector {
         const directions = [DIRECTIONS.UP, DIRECTIONS.DOWN, DIRECTIONS.LEFT, DIRECTIONS.RIGHT];
         
         for (const direction of directions) {
-            const testPosition = utils.createPosition(
-                head.x + direction.x,
-                head.y + direction.y
-            );
+            const testPosition = utils.getNeighbourPosition(head, direction);
             
-            if (this.isPositionSafe(testPosition, snake)) {
+            if (this.isPositionSafe(testPosition, snake, level, others)) {
                 safePositions.push({
                     position: testPosition,
                     direction: direction,
@@ -250,10 +414,21 @@ class CollisionDetector {
 
     /**
      * Calculate distance to nearest boundary
+     * With portal walls there is no boundary, so every distance is Infinity
      * @param {Object} position - Position to check
      * @returns {Object} Distance to each boundary
      */
     getDistanceToBoundaries(position) {
+        if (gameConfig.board.wrap) {
+            return {
+                left: Infinity,
+                right: Infinity,
+                top: Infinity,
+                bottom: Infinity,
+                nearest: Infinity
+            };
+        }
+
         return {
             left: position.x,
             right: gameConfig.board.columns - 1 - position.x,
@@ -272,10 +447,12 @@ class CollisionDetector {
      * Find the closest safe position to target
      * @param {Object} targetPosition - Target position
      * @param {Snake} snake - Snake instance
+     * @param {Level} [level] - Current level
+     * @param {Array} [others] - Other snakes on the board
      * @returns {Object|null} Closest safe position or null
      */
-    findClosestSafePosition(targetPosition, snake) {
-        const safePositions = this.getSafePositions(snake);
+    findClosestSafePosition(targetPosition, snake, level = null, others = []) {
+        const safePositions = this.getSafePositions(snake, level, others);
         
         if (safePositions.length === 0) {
             return null;
@@ -348,7 +525,10 @@ class CollisionDetector {
             total: this.collisionHistory.length,
             byType: {
                 boundary: 0,
+                obstacle: 0,
                 self: 0,
+                snake: 0,
+                headOn: 0,
                 food: 0
             },
             recent: this.collisionHistory.slice(-10)
@@ -368,5 +548,10 @@ class CollisionDetector {
 const collisionDetector = new CollisionDetector();
 
 // Export collision detector
-window.CollisionDetector = CollisionDetector;
-window.collisionDetector = collisionDetector;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.CollisionDetector = CollisionDetector;
+    window.collisionDetector = collisionDetector;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CollisionDetector, collisionDetector };
+}
\ No newline at end of file
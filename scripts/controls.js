@@ -0,0 +1,404 @@
+// Controls Panel
+// Rebinds the keyboard: each action can have several keys, added by pressing them. Bindings are
+// stored as KeyboardEvent.code values and written into gameConfig.controls.keyboard.
+
+// Keyboard actions, in the order they are listed
+const keyActions = {
+    up: 'Up',
+    down: 'Down',
+    left: 'Left',
+    right: 'Right',
+    pause: 'Pause',
+    restart: 'Restart',
+    nextLevel: 'Next Level'
+};
+
+// Keys shown by symbol rather than by code
+const keySymbols = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Space: 'Space',
+    Enter: 'Enter',
+    Escape: 'Esc'
+};
+
+class ControlsPanel {
+    constructor() {
+        this.game = null;
+        this.open = false;
+        this.previousOverlay = null;
+        
+        // Bindings in use, and the copy being edited while the panel is open
+        this.layout = 'qwerty';
+        this.editLayout = 'qwerty';
+        this.editKeyboard = null;
+        this.capturing = null; // action waiting for a key press
+        this.layoutMap = null; // the browser's code -> label map, where the Keyboard API offers one
+        
+        // UI elements
+        this.panelElement = null;
+        this.controlButtons = null;
+        this.layoutSelect = null;
+        this.bindingsElement = null;
+        this.statusElement = null;
+        this.helpElement = null;
+    }
+
+    /**
+     * Get controls element references, bind their events and apply the saved bindings
+     * @param {Game} game - Game instance
+     */
+    initialize(game) {
+        this.game = game;
+        this.panelElement = document.getElementById('controls-panel');
+        this.controlButtons = document.querySelector('.overlay-content > .control-buttons');
+        this.layoutSelect = document.getElementById('controls-layout');
+        this.bindingsElement = document.getElementById('controls-bindings');
+        this.statusElement = document.getElementById('controls-status');
+        this.helpElement = document.getElementById('desktop-controls-help');
+        
+        if (this.layoutSelect) {
+            this.layoutSelect.innerHTML = '';
+            for (const [value, layout] of Object.entries(keyboardLayouts)) {
+                const element = document.createElement('option');
+                element.value = value;
+                element.textContent = `${layout.label} – ${layout.description}`;
+                this.layoutSelect.appendChild(element);
+            }
+            this.layoutSelect.addEventListener('change', () => this.selectLayout(this.layoutSelect.value));
+        }
+        
+        // Capture phase, so a key being bound never reaches the game's own handlers
+        document.addEventListener('keydown', (event) => this.onKeyDown(event), true);
+        
+        // Show keys as the player's layout prints them, where the browser can tell
+        if (typeof navigator !== 'undefined' && navigator.keyboard && navigator.keyboard.getLayoutMap) {
+            navigator.keyboard.getLayoutMap().then(map => {
+                this.layoutMap = map;
+                this.updateHelp();
+            }).catch(() => {});
+        }
+        
+        this.apply(storage.getKeyBindings());
+    }
+
+    /**
+     * Use a set of bindings, falling back to the layout's preset for missing or unreadable actions
+     * @param {Object|null} bindings - Bindings ({ layout, keyboard }), or null for the defaults
+     */
+    apply(bindings) {
+        const layout = bindings && keyboardLayouts[bindings.layout] ? bindings.layout : 'qwerty';
+        const saved = (bindings && bindings.keyboard) || {};
+        
+        const keyboard = {};
+        for (const action of Object.keys(keyActions)) {
+            const keys = saved[action];
+            keyboard[action] = Array.isArray(keys) && keys.length > 0 && keys.every(key => typeof key === 'string')
+                ? [...keys]
+                : [...keyboardLayouts[layout].keyboard[action]];
+        }
+        
+        this.layout = layout;
+        gameConfig.controls.keyboard = keyboard;
+        this.updateHelp();
+    }
+
+    /**
+     * Show the controls panel in the overlay, editing a copy of the bindings in use
+     */
+    show() {
+        if (!this.panelElement || this.open) return;
+        
+        this.editLayout = this.layout;
+        this.editKeyboard = this.copyKeyboard(gameConfig.controls.keyboard);
+        this.capturing = null;
+        this.previousOverlay = {
+            title: this.game.overlayTitle ? this.game.overlayTitle.textContent : '',
+            message: this.game.overlayMessage ? this.game.overlayMessage.textContent : ''
+        };
+        
+        this.open = true;
+        this.panelElement.classList.add('show');
+        if (this.controlButtons) {
+            this.controlButtons.style.display = 'none';
+        }
+        this.game.showOverlay('Controls', 'Click + and press a key to add it; click a key to remove it');
+        this.render();
+    }
+
+    /**
+     * Hide the controls panel, dropping unsaved changes, and restore the previous overlay
+     */
+    hide() {
+        if (!this.open) return;
+        
+        this.open = false;
+        this.capturing = null;
+        this.panelElement.classList.remove('show');
+        if (this.controlButtons) {
+            this.controlButtons.style.display = '';
+        }
+        if (this.previousOverlay) {
+            this.game.showOverlay(this.previousOverlay.title, this.previousOverlay.message);
+        }
+        this.game.updateUI();
+    }
+
+    /**
+     * Save the edited bindings if every action has a key and no key is used twice
+     * @returns {boolean} True if saved
+     */
+    save() {
+        const unbound = Object.keys(keyActions).find(action => this.editKeyboard[action].length === 0);
+        if (unbound) {
+            this.setStatus(`${keyActions[unbound]} needs at least one key`);
+            return false;
+        }
+        
+        const conflicts = this.findConflicts(this.editKeyboard);
+        if (conflicts.length > 0) {
+            const { key, actions } = conflicts[0];
+            this.setStatus(`${this.getKeyLabel(key)} is bound to both ${actions.map(action => keyActions[action]).join(' and ')}`);
+            return false;
+        }
+        
+        const bindings = { layout: this.editLayout, keyboard: this.copyKeyboard(this.editKeyboard) };
+        storage.setKeyBindings(bindings);
+        this.apply(bindings);
+        this.hide();
+        
+        console.log('Key bindings saved');
+        return true;
+    }
+
+    /**
+     * Put the default keys back in the form (saved with Save)
+     */
+    resetToDefaults() {
+        this.selectLayout('qwerty');
+        this.setStatus('Default keys restored; press Save to keep them');
+    }
+
+    /**
+     * Load a layout preset into the form
+     * @param {string} layout - Layout name (key into keyboardLayouts)
+     */
+    selectLayout(layout) {
+        if (!keyboardLayouts[layout]) return;
+        
+        this.editLayout = layout;
+        this.editKeyboard = this.copyKeyboard(keyboardLayouts[layout].keyboard);
+        this.capturing = null;
+        this.render();
+    }
+
+    /**
+     * Wait for the next key press to bind to an action
+     * @param {string} action - Action to bind
+     */
+    startCapture(action) {
+        this.capturing = action;
+        this.setStatus(`Press a key for ${keyActions[action]} (Esc to cancel)`);
+    }
+
+    /**
+     * Take the key press being waited for
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    onKeyDown(event) {
+        if (!this.open || !this.capturing) {
+            return;
+        }
+        
+        event.preventDefault();
+        event.stopPropagation();
+        
+        const action = this.capturing;
+        this.capturing = null;
+        if (event.code === 'Escape') {
+            this.setStatus('');
+            return;
+        }
+        this.addKey(action, event.code);
+    }
+
+    /**
+     * Bind a key to an action, refusing keys another action already uses
+     * @param {string} action - Action to bind
+     * @param {string} key - Key code
+     * @returns {boolean} True if the key was added
+     */
+    addKey(action, key) {
+        const owner = Object.keys(keyActions).find(other => this.editKeyboard[other].includes(key));
+        if (owner === action) {
+            this.setStatus(`${this.getKeyLabel(key)} is already bound to ${keyActions[action]}`);
+            return false;
+        }
+        if (owner) {
+            this.setStatus(`${this.getKeyLabel(key)} is already used for ${keyActions[owner]}; remove it there first`);
+            return false;
+        }
+        
+        this.editKeyboard[action].push(key);
+        this.render();
+        this.setStatus(`${this.getKeyLabel(key)} now works for ${keyActions[action]}`);
+        return true;
+    }
+
+    /**
+     * Unbind a key from an action
+     * @param {string} action - Action to unbind from
+     * @param {string} key - Key code
+     */
+    removeKey(action, key) {
+        this.editKeyboard[action] = this.editKeyboard[action].filter(other => other !== key);
+        this.render();
+    }
+
+    /**
+     * Find keys bound to more than one action
+     * @param {Object} keyboard - Keys per action
+     * @returns {Array} Conflicts as { key, actions }
+     */
+    findConflicts(keyboard) {
+        const owners = new Map();
+        for (const action of Object.keys(keyActions)) {
+            for (const key of keyboard[action] || []) {
+                owners.set(key, [...(owners.get(key) || []), action]);
+            }
+        }
+        return [...owners].filter(([, actions]) => actions.length > 1).map(([key, actions]) => ({ key, actions }));
+    }
+
+    /**
+     * Get the label to show for a key
+     * @param {string} key - Key code
+     * @returns {string} Label
+     */
+    getKeyLabel(key) {
+        if (keySymbols[key]) {
+            return keySymbols[key];
+        }
+        if (this.layoutMap && this.layoutMap.get(key)) {
+            return this.layoutMap.get(key).toUpperCase();
+        }
+        
+        const layout = keyboardLayouts[this.open ? this.editLayout : this.layout];
+        if (layout.labels[key]) {
+            return layout.labels[key];
+        }
+        return key.replace(/^(Key|Digit|Numpad)/, '');
+    }
+
+    /**
+     * Copy a set of bindings
+     * @param {Object} keyboard - Keys per action
+     * @returns {Object} Copy
+     */
+    copyKeyboard(keyboard) {
+        const copy = {};
+        for (const action of Object.keys(keyActions)) {
+            copy[action] = [...(keyboard[action] || [])];
+        }
+        return copy;
+    }
+
+    /**
+     * Rebuild the list of actions and their keys
+     */
+    render() {
+        if (this.layoutSelect) {
+            this.layoutSelect.value = this.editLayout;
+        }
+        if (!this.bindingsElement) return;
+        
+        this.bindingsElement.innerHTML = '';
+        for (const [action, label] of Object.entries(keyActions)) {
+            const row = document.createElement('div');
+            row.className = 'setting-row binding-row';
+            
+            const name = document.createElement('span');
+            name.textContent = label;
+            row.appendChild(name);
+            
+            const keys = document.createElement('span');
+            keys.className = 'binding-keys';
+            for (const key of this.editKeyboard[action]) {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'key-chip';
+                chip.textContent = this.getKeyLabel(key);
+                chip.title = `Remove ${this.getKeyLabel(key)}`;
+                chip.addEventListener('click', () => this.removeKey(action, key));
+                keys.appendChild(chip);
+            }
+            
+            const add = document.createElement('button');
+            add.type = 'button';
+            add.className = 'key-chip key-add';
+            add.textContent = '+';
+            add.title = `Add a key for ${label}`;
+            add.addEventListener('click', () => this.startCapture(action));
+            keys.appendChild(add);
+            
+            row.appendChild(keys);
+            this.bindingsElement.appendChild(row);
+        }
+    }
+
+    /**
+     * Show a message under the bindings
+     * @param {string} message - Message (empty to clear)
+     */
+    setStatus(message) {
+        if (this.statusElement) {
+            this.statusElement.textContent = message;
+        }
+    }
+
+    /**
+     * Describe the bindings in use in the footer help
+     */
+    updateHelp() {
+        if (!this.helpElement) return;
+        
+        const keyboard = gameConfig.controls.keyboard;
+        const describe = action => keyboard[action].map(key => this.getKeyLabel(key)).join(' or ');
+        
+        // Movement keys are grouped by position, so the usual sets read as "Arrow Keys or WASD"
+        const order = ['up', 'left', 'down', 'right'];
+        const groups = [];
+        const count = Math.max(keyboard.up.length, keyboard.down.length, keyboard.left.length, keyboard.right.length);
+        for (let i = 0; i < count; i++) {
+            const set = order.map(action => keyboard[action][i]);
+            if (set.join() === 'ArrowUp,ArrowLeft,ArrowDown,ArrowRight') {
+                groups.push('Arrow Keys');
+            } else if (set.every(Boolean)) {
+                groups.push(set.map(key => this.getKeyLabel(key)).join(''));
+            } else {
+                // A spare key for some directions only: say which
+                groups.push(set.map((key, j) => key && `${this.getKeyLabel(key)} (${order[j]})`)
+                    .filter(Boolean).join(', '));
+            }
+        }
+        
+        this.helpElement.textContent = `${groups.join(' or ')} to move • ${describe('pause')} to pause • ${describe('restart')} to restart`;
+    }
+
+    /**
+     * Check if the panel is showing
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return this.open;
+    }
+}
+
+// Create global controls panel instance
+const controlsPanel = new ControlsPanel();
+
+// Export ControlsPanel class and instance
+window.ControlsPanel = ControlsPanel;
+window.controlsPanel = controlsPanel;
\ No newline at end of file
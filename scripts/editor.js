@@ -0,0 +1,565 @@
+// Level Editor
+// Paints a level on the game canvas and round-trips it through JSON files and share links.
+class LevelEditor {
+    constructor() {
+        this.game = null;
+        this.active = false;
+        this.painting = null; // 'wall' or 'erase' while a drag is in progress
+        
+        // Level being edited
+        this.walls = new Set(); // "x,y" keys
+        this.spawn = { x: 15, y: 15, direction: 'right' };
+        this.patrols = []; // patrol paths as [x, y] cells, kept from imported levels (not editable here)
+        this.columns = LEVEL_SIZE_LIMITS.default;
+        this.rows = LEVEL_SIZE_LIMITS.default;
+        
+        // UI elements
+        this.canvas = null;
+        this.controlsElement = null;
+        this.toolSelect = null;
+        this.directionSelect = null;
+        this.columnsInput = null;
+        this.rowsInput = null;
+        this.nameInput = null;
+        this.goalScoreInput = null;
+        this.goalLengthInput = null;
+        this.importInput = null;
+    }
+
+    /**
+     * Get editor element references and bind their events
+     * @param {Game} game - Game instance
+     */
+    initialize(game) {
+        this.game = game;
+        this.canvas = document.getElementById('game-canvas');
+        this.controlsElement = document.getElementById('editor-controls');
+        this.toolSelect = document.getElementById('editor-tool');
+        this.directionSelect = document.getElementById('editor-direction');
+        this.columnsInput = document.getElementById('editor-columns');
+        this.rowsInput = document.getElementById('editor-rows');
+        this.nameInput = document.getElementById('editor-name');
+        this.goalScoreInput = document.getElementById('editor-goal-score');
+        this.goalLengthInput = document.getElementById('editor-goal-length');
+        this.importInput = document.getElementById('level-import');
+        
+        if (this.canvas) {
+            this.canvas.addEventListener('pointerdown', (event) => this.onPointerDown(event));
+            this.canvas.addEventListener('pointermove', (event) => this.onPointerMove(event));
+        }
+        document.addEventListener('pointerup', () => this.onPointerUp());
+        
+        if (this.directionSelect) {
+            this.directionSelect.addEventListener('change', () => this.setSpawnDirection(this.directionSelect.value));
+        }
+        for (const input of [this.columnsInput, this.rowsInput]) {
+            if (input) {
+                input.addEventListener('change', () => this.resize(
+                    parseInt(this.columnsInput.value, 10),
+                    parseInt(this.rowsInput.value, 10)
+                ));
+            }
+        }
+        for (const input of [this.nameInput, this.goalScoreInput, this.goalLengthInput]) {
+            if (input) {
+                input.addEventListener('change', () => this.saveDraft());
+            }
+        }
+        
+        const buttonActions = {
+            'editor-play-btn': () => this.testPlay(),
+            'editor-export-btn': () => this.exportLevel(),
+            'editor-link-btn': () => this.copyShareLink(),
+            'editor-import-btn': () => this.openImportDialog(),
+            'editor-clear-btn': () => this.clearWalls(),
+            'editor-exit-btn': () => this.game.closeEditor()
+        };
+        for (const [id, action] of Object.entries(buttonActions)) {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', action);
+            }
+        }
+        
+        if (this.importInput) {
+            this.importInput.addEventListener('change', () => this.importLevel());
+        }
+    }
+
+    /**
+     * Start editing, resuming the saved draft if there is one
+     * @param {Object} [levelData] - Level to edit instead of the draft
+     */
+    open(levelData = null) {
+        this.loadLevelData(levelData || storage.getLevelDraft() || this.createBlankLevel());
+        this.active = true;
+        
+        if (this.controlsElement) {
+            this.controlsElement.classList.add('show');
+        }
+        if (this.canvas) {
+            this.canvas.classList.add('editing');
+        }
+        this.render();
+    }
+
+    /**
+     * Stop editing and hide the editor controls
+     */
+    close() {
+        this.active = false;
+        this.painting = null;
+        
+        if (this.controlsElement) {
+            this.controlsElement.classList.remove('show');
+        }
+        if (this.canvas) {
+            this.canvas.classList.remove('editing');
+        }
+    }
+
+    /**
+     * Check if the editor is open
+     * @returns {boolean} True if editing
+     */
+    isActive() {
+        return this.active;
+    }
+
+    /**
+     * Create an empty level on the default board
+     * @returns {Object} Level data
+     */
+    createBlankLevel() {
+        const size = LEVEL_SIZE_LIMITS.default;
+        return {
+            version: LEVEL_VERSION,
+            id: 'custom',
+            name: 'Custom Level',
+            columns: size,
+            rows: size,
+            walls: [],
+            spawn: { x: Math.floor(size / 2), y: Math.floor(size / 2), direction: 'right' },
+            goal: { score: 100 }
+        };
+    }
+
+    /**
+     * Load level data into the editor and its form
+     * @param {Object} data - Level data
+     */
+    loadLevelData(data) {
+        const level = new Level(data);
+        
+        this.columns = level.columns;
+        this.rows = level.rows;
+        this.walls = new Set(level.getWalls().map(wall => `${wall.x},${wall.y}`));
+        this.patrols = level.toJSON().patrols;
+        this.spawn = {
+            x: level.spawn.x,
+            y: level.spawn.y,
+            direction: level.spawn.direction.name
+        };
+        utils.setBoardSize(this.columns, this.rows);
+        
+        if (this.nameInput) {
+            this.nameInput.value = level.name;
+        }
+        if (this.columnsInput) {
+            this.columnsInput.value = this.columns;
+        }
+        if (this.rowsInput) {
+            this.rowsInput.value = this.rows;
+        }
+        if (this.directionSelect) {
+            this.directionSelect.value = this.spawn.direction;
+        }
+        if (this.goalScoreInput) {
+            this.goalScoreInput.value = level.goal.score || '';
+        }
+        if (this.goalLengthInput) {
+            this.goalLengthInput.value = level.goal.length || '';
+        }
+    }
+
+    /**
+     * Build level data from the editor state
+     * @returns {Object} Level data
+     */
+    toJSON() {
+        const name = (this.nameInput && this.nameInput.value.trim()) || 'Custom Level';
+        const goal = {};
+        const score = this.goalScoreInput ? parseInt(this.goalScoreInput.value, 10) : NaN;
+        const length = this.goalLengthInput ? parseInt(this.goalLengthInput.value, 10) : NaN;
+        if (score > 0) {
+            goal.score = score;
+        }
+        if (length > 0) {
+            goal.length = length;
+        }
+        
+        return {
+            version: LEVEL_VERSION,
+            // Custom levels get their own id (and best score) from their name
+            id: `custom-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`,
+            name: name,
+            columns: this.columns,
+            rows: this.rows,
+            walls: [...this.walls].map(key => key.split(',').map(Number)),
+            spawn: { ...this.spawn },
+            goal: goal,
+            patrols: this.patrols
+        };
+    }
+
+    /**
+     * Build a Level from the editor state
+     * @returns {Level} Level being edited
+     */
+    buildLevel() {
+        return new Level(this.toJSON());
+    }
+
+    /**
+     * Convert a pointer event to the board cell under it
+     * @param {PointerEvent} event - Pointer event
+     * @returns {Object} Grid position
+     */
+    getCellFromEvent(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const displayWidth = this.canvas.clientWidth || rect.width;
+        const displayHeight = this.canvas.clientHeight || rect.height;
+        
+        // Map from displayed (CSS) pixels to board pixels, skipping the canvas border
+        return utils.pixelToGrid({
+            x: (event.clientX - rect.left - this.canvas.clientLeft) * gameConfig.board.width / displayWidth,
+            y: (event.clientY - rect.top - this.canvas.clientTop) * gameConfig.board.height / displayHeight
+        });
+    }
+
+    /**
+     * Handle pointer down on the canvas: place the spawn or start painting
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerDown(event) {
+        if (!this.active) return;
+        
+        event.preventDefault();
+        const cell = this.getCellFromEvent(event);
+        const tool = this.toolSelect ? this.toolSelect.value : 'wall';
+        
+        if (tool === 'spawn') {
+            this.setSpawn(cell);
+            return;
+        }
+        
+        this.painting = tool;
+        this.paintCell(cell);
+    }
+
+    /**
+     * Keep painting while the pointer is dragged
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerMove(event) {
+        if (!this.active || !this.painting) return;
+        
+        this.paintCell(this.getCellFromEvent(event));
+    }
+
+    /**
+     * Finish a paint stroke
+     */
+    onPointerUp() {
+        if (!this.painting) return;
+        
+        this.painting = null;
+        this.saveDraft();
+    }
+
+    /**
+     * Add or remove a wall at a cell with the current paint mode
+     * @param {Object} cell - Grid position
+     */
+    paintCell(cell) {
+        if (cell.x < 0 || cell.x >= this.columns || cell.y < 0 || cell.y >= this.rows) return;
+        
+        const key = `${cell.x},${cell.y}`;
+        if (this.painting === 'erase') {
+            this.walls.delete(key);
+        } else {
+            this.walls.add(key);
+        }
+        this.render();
+    }
+
+    /**
+     * Move the snake's spawn point
+     * @param {Object} cell - Grid position for the head
+     */
+    setSpawn(cell) {
+        if (cell.x < 0 || cell.x >= this.columns || cell.y < 0 || cell.y >= this.rows) return;
+        
+        this.spawn.x = cell.x;
+        this.spawn.y = cell.y;
+        this.saveDraft();
+        this.render();
+    }
+
+    /**
+     * Change the direction the snake starts moving in
+     * @param {string} directionName - Direction name
+     */
+    setSpawnDirection(directionName) {
+        if (!utils.getDirectionByName(directionName)) return;
+        
+        this.spawn.direction = directionName;
+        this.saveDraft();
+        this.render();
+    }
+
+    /**
+     * Change the board size, dropping walls and patrol paths that no longer fit
+     * @param {number} columns - Board width in cells
+     * @param {number} rows - Board height in cells
+     */
+    resize(columns, rows) {
+        const clampSize = (size, fallback) => Number.isNaN(size) ? fallback :
+            utils.clamp(size, LEVEL_SIZE_LIMITS.min, LEVEL_SIZE_LIMITS.max);
+        this.columns = clampSize(columns, this.columns);
+        this.rows = clampSize(rows, this.rows);
+        
+        for (const key of [...this.walls]) {
+            const [x, y] = key.split(',').map(Number);
+            if (x >= this.columns || y >= this.rows) {
+                this.walls.delete(key);
+            }
+        }
+        this.patrols = this.patrols.filter(path => path.every(([x, y]) => x < this.columns && y < this.rows));
+        this.spawn.x = Math.min(this.spawn.x, this.columns - 1);
+        this.spawn.y = Math.min(this.spawn.y, this.rows - 1);
+        
+        if (this.columnsInput) {
+            this.columnsInput.value = this.columns;
+        }
+        if (this.rowsInput) {
+            this.rowsInput.value = this.rows;
+        }
+        
+        utils.setBoardSize(this.columns, this.rows);
+        this.saveDraft();
+        this.render();
+    }
+
+    /**
+     * Remove every wall
+     */
+    clearWalls() {
+        this.walls.clear();
+        this.saveDraft();
+        this.render();
+    }
+
+    /**
+     * Keep the level being edited in storage so it survives test plays and reloads
+     */
+    saveDraft() {
+        storage.setLevelDraft(this.toJSON());
+    }
+
+    /**
+     * Validate the level and play it
+     * @returns {boolean} True if the level started
+     */
+    testPlay() {
+        const level = this.buildLevel();
+        const validation = level.validate();
+        if (!validation.valid) {
+            this.showIssues(validation.issues);
+            return false;
+        }
+        
+        this.saveDraft();
+        this.close();
+        return this.game.start(level);
+    }
+
+    /**
+     * Show validation problems in the overlay
+     * @param {Array} issues - Validation issues
+     */
+    showIssues(issues) {
+        this.game.showOverlay('Invalid Level', issues.join(' • '));
+        this.game.updateUI();
+    }
+
+    /**
+     * Draw the level being edited, with the grid and the snake at its spawn
+     */
+    render() {
+        const renderer = this.game && this.game.renderer;
+        if (!this.active || !renderer || !renderer.isInitialized()) return;
+        
+        const level = this.buildLevel();
+        renderer.clear();
+        renderer.renderBoard(level);
+        renderer.drawGrid();
+        
+        const preview = new Snake();
+        preview.reset(level.spawn);
+        renderer.renderSnake(preview);
+    }
+
+    /**
+     * Download the level as a JSON file
+     */
+    exportLevel() {
+        const data = this.toJSON();
+        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `snake-level-${data.id}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Build a link that opens this level
+     * @returns {string} Share URL
+     */
+    getShareUrl() {
+        const base = `${window.location.origin}${window.location.pathname}${window.location.search}`;
+        return `${base}#level=${this.encodeLevel(this.toJSON())}`;
+    }
+
+    /**
+     * Put the share link in the address bar and copy it to the clipboard
+     */
+    copyShareLink() {
+        const url = this.getShareUrl();
+        if (window.history && window.history.replaceState) {
+            window.history.replaceState(null, '', url);
+        }
+        
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url)
+                .then(() => this.game.showOverlay('Link Copied', 'Anyone opening the link gets this level in the editor'))
+                .catch(() => this.game.showOverlay('Share Link', url));
+        } else {
+            this.game.showOverlay('Share Link', url);
+        }
+        this.game.updateUI();
+    }
+
+    /**
+     * Encode level data for a URL fragment (base64url of the JSON)
+     * @param {Object} data - Level data
+     * @returns {string} Encoded level
+     */
+    encodeLevel(data) {
+        const bytes = new TextEncoder().encode(JSON.stringify(data));
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode level data from a URL fragment
+     * @param {string} encoded - Encoded level
+     * @returns {Object} Level data
+     * @throws {Error} If the text is not an encoded level
+     */
+    decodeLevel(encoded) {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, character => character.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    /**
+     * Open a level shared through the page URL, if there is one
+     * @returns {boolean} True if the URL carried a level
+     */
+    openFromUrl() {
+        const match = /^#level=(.+)$/.exec(window.location.hash || '');
+        if (!match) return false;
+        
+        this.game.openEditor();
+        
+        let data = null;
+        try {
+            data = this.decodeLevel(match[1]);
+        } catch (error) {
+            this.showIssues(['The shared link is damaged']);
+            return true;
+        }
+        
+        this.loadImported(data);
+        return true;
+    }
+
+    /**
+     * Open the file picker for importing a level
+     */
+    openImportDialog() {
+        if (this.importInput) {
+            this.importInput.value = '';
+            this.importInput.click();
+        }
+    }
+
+    /**
+     * Read the level file chosen in the import input
+     */
+    importLevel() {
+        const file = this.importInput && this.importInput.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            let data = null;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (error) {
+                this.showIssues(['The file is not valid JSON']);
+                return;
+            }
+            
+            this.loadImported(data);
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Validate imported level data and load it into the editor
+     * @param {Object} data - Level data
+     * @returns {boolean} True if the level was loaded
+     */
+    loadImported(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.walls)) {
+            this.showIssues(['This is not a level file']);
+            return false;
+        }
+        
+        const validation = new Level(data).validate();
+        if (!validation.valid) {
+            this.showIssues(validation.issues);
+            return false;
+        }
+        
+        this.loadLevelData(data);
+        this.saveDraft();
+        this.game.hideOverlay();
+        this.render();
+        return true;
+    }
+}
+
+// Create global level editor instance
+const levelEditor = new LevelEditor();
+
+// Export LevelEditor class and instance
+window.LevelEditor = LevelEditor;
+window.levelEditor = levelEditor;
\ No newline at end of file
@@ -0,0 +1,166 @@
+// Timed Effects and Power-Ups
+// Power-ups picked up from special food become effects counted down in game time, so they pause with
+// the game and replay exactly. Effects belong to the snake that ate the power-up; speed and slow motion
+// change the shared game speed.
+
+// Power-up catalogue, keyed by food type
+//   duration: game time (ms) the effect lasts (0 for instant power-ups and shields, which last until used)
+//   stacking: 'refresh' restarts the timer, 'extend' adds the duration to the time left,
+//             'charges' adds one use (up to maxCharges), 'instant' applies once and is not tracked
+const powerUps = {
+    speed: { label: 'Speed', symbol: '⚡', color: '#3498db', duration: 5000, stacking: 'refresh', description: 'Moves faster' },
+    slow: { label: 'Slow-mo', symbol: '❄', color: '#1abc9c', duration: 6000, stacking: 'refresh', factor: 1.5, description: 'Slows the game down' },
+    ghost: { label: 'Ghost', symbol: '☁', color: '#95a5a6', duration: 5000, stacking: 'refresh', description: 'Pass through your own body' },
+    shrink: { label: 'Shrink', symbol: '▼', color: '#e67e22', duration: 0, stacking: 'instant', amount: 3, description: 'Sheds tail segments' },
+    multiplier: { label: 'Double Points', symbol: '×', color: '#f1c40f', duration: 10000, stacking: 'extend', factor: 2, description: 'Doubles points' },
+    magnet: { label: 'Magnet', symbol: '∩', color: '#c0392b', duration: 8000, stacking: 'refresh', radius: 6, description: 'Pulls nearby food in' },
+    shield: { label: 'Shield', symbol: '◈', color: '#2ecc71', duration: 0, stacking: 'charges', maxCharges: 3, description: 'Survive one wall hit' }
+};
+
+class EffectManager {
+    constructor() {
+        this.effects = []; // { type, player, remaining, charges }
+    }
+
+    /**
+     * Find a snake's effect of a type
+     * @param {string} type - Power-up type
+     * @param {number} player - Index of the snake
+     * @returns {Object|undefined} Effect entry
+     */
+    find(type, player) {
+        return this.effects.find(effect => effect.type === type && effect.player === player);
+    }
+
+    /**
+     * Start an effect for a snake, or stack it onto the one already running
+     * @param {string} type - Power-up type (key into powerUps)
+     * @param {number} [player] - Index of the snake
+     * @returns {Object|null} Effect entry, or null for instant and unknown power-ups
+     */
+    add(type, player = 0) {
+        const powerUp = powerUps[type];
+        if (!powerUp || powerUp.stacking === 'instant') {
+            return null;
+        }
+        
+        let effect = this.find(type, player);
+        if (!effect) {
+            effect = { type: type, player: player, remaining: 0, charges: 0 };
+            this.effects.push(effect);
+        }
+        
+        switch (powerUp.stacking) {
+            case 'extend':
+                effect.remaining += powerUp.duration;
+                break;
+            case 'charges':
+                effect.charges = Math.min(powerUp.maxCharges, effect.charges + 1);
+                break;
+            default:
+                effect.remaining = powerUp.duration;
+        }
+        
+        return effect;
+    }
+
+    /**
+     * Check if an effect is running
+     * @param {string} type - Power-up type
+     * @param {number|null} [player] - Index of the snake, or null for any snake
+     * @returns {boolean} True if active
+     */
+    isActive(type, player = null) {
+        return this.effects.some(effect => effect.type === type && (player === null || effect.player === player));
+    }
+
+    /**
+     * Use up one charge of an effect
+     * @param {string} type - Power-up type
+     * @param {number} player - Index of the snake
+     * @returns {boolean} True if a charge was used
+     */
+    useCharge(type, player) {
+        const effect = this.find(type, player);
+        if (!effect || effect.charges <= 0) {
+            return false;
+        }
+        
+        effect.charges--;
+        if (effect.charges === 0) {
+            this.effects.splice(this.effects.indexOf(effect), 1);
+        }
+        return true;
+    }
+
+    /**
+     * Count down timed effects
+     * @param {number} deltaTime - Game time (ms) elapsed
+     * @returns {Array} Effects that ran out
+     */
+    tick(deltaTime) {
+        const expired = [];
+        this.effects = this.effects.filter(effect => {
+            if (powerUps[effect.type].duration === 0) {
+                return true;
+            }
+            
+            effect.remaining = Math.max(0, effect.remaining - deltaTime);
+            if (effect.remaining === 0) {
+                expired.push(effect);
+                return false;
+            }
+            return true;
+        });
+        return expired;
+    }
+
+    /**
+     * Get the running effects
+     * @param {number|null} [player] - Index of the snake, or null for every snake
+     * @returns {Array} Effect entries
+     */
+    getActive(player = null) {
+        return this.effects.filter(effect => player === null || effect.player === player);
+    }
+
+    /**
+     * End every effect of one snake (when it leaves the game)
+     * @param {number} player - Index of the snake
+     */
+    clearPlayer(player) {
+        this.effects = this.effects.filter(effect => effect.player !== player);
+    }
+
+    /**
+     * End every effect
+     */
+    clear() {
+        this.effects = [];
+    }
+
+    /**
+     * Get effects state for saving/loading
+     * @returns {Array} Effect entries
+     */
+    getState() {
+        return this.effects.map(effect => ({ ...effect }));
+    }
+
+    /**
+     * Restore effects from saved state (entries for unknown power-ups are dropped)
+     * @param {Array} state - Effect entries
+     */
+    setState(state) {
+        this.effects = (state || []).filter(effect => powerUps[effect.type]).map(effect => ({ ...effect }));
+    }
+}
+
+// Export effect system
+if (typeof window !== 'undefined') {
+    window.EffectManager = EffectManager;
+    window.powerUps = powerUps;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EffectManager, powerUps };
+}
\ No newline at end of file
@@ -0,0 +1,611 @@
+// Headless Simulation Engine
+// Owns the game rules and state; has no knowledge of the DOM, canvas or input devices.
+
+// Most snakes on one board (one per spawn point)
+const MAX_SNAKES = 4;
+
+class GameEngine {
+    /**
+     * @param {Object} [options] - Engine options
+     * @param {SeededRandom} [options.random] - Random source (defaults to a private generator)
+     * @param {CollisionDetector} [options.collisionDetector] - Collision detector to use
+     */
+    constructor(options = {}) {
+        this.random = options.random || new SeededRandom();
+        this.collisionDetector = options.collisionDetector || collisionDetector;
+        this.snakes = [new Snake()]; // human players first, then computer rivals
+        this.scores = [0];
+        this.alive = [true]; // snakes that crash are out of the game
+        this.playerCount = 1; // human players
+        this.rivals = []; // SnakeAI per computer rival
+        this.winner = null; // multi-snake games only: index of the winning snake, null for a draw
+        this.foods = new FoodManager(this.random); // every food item on the board
+        this.level = null; // null plays the open board
+        this.seed = null;
+        this.speed = gameConfig.snake.speed;
+        this.tickCount = 0;
+        this.elapsedTime = 0;
+        this.effects = new EffectManager(); // power-ups running for each snake
+        this.over = false;
+        this.cleared = false;
+        this.lastCollisions = null;
+    }
+
+    /**
+     * Player 1's snake (the only snake outside versus games)
+     * @returns {Snake} Snake
+     */
+    get snake() {
+        return this.snakes[0];
+    }
+
+    /**
+     * The first food item (the only one unless gameConfig.food.maxItems is raised)
+     * @returns {Food|undefined} Food item
+     */
+    get food() {
+        return this.foods.getItems()[0];
+    }
+
+    /**
+     * Player 1's score
+     * @returns {number} Score
+     */
+    get score() {
+        return this.scores[0];
+    }
+
+    /**
+     * Set player 1's score
+     * @param {number} value - New score
+     */
+    set score(value) {
+        this.scores[0] = value;
+    }
+
+    /**
+     * Set the number of human players used from the next reset
+     * Versus games (more than one snake) are played on the open board.
+     * @param {number} count - Number of players
+     */
+    setPlayerCount(count) {
+        this.playerCount = utils.clamp(Math.floor(count) || 1, 1, MAX_SNAKES);
+        this.rivals.length = Math.min(this.rivals.length, MAX_SNAKES - this.playerCount);
+        this.resizeSnakes();
+    }
+
+    /**
+     * Set the computer rivals used from the next reset
+     * @param {Array} difficulties - Difficulty tier per rival (keys into aiDifficulties)
+     */
+    setRivals(difficulties = []) {
+        this.rivals = difficulties.slice(0, MAX_SNAKES - this.playerCount).map(difficulty => new SnakeAI(difficulty));
+        this.resizeSnakes();
+    }
+
+    /**
+     * Get the difficulty tier of each computer rival
+     * @returns {Array} Difficulty names
+     */
+    getRivalDifficulties() {
+        return this.rivals.map(rival => rival.difficulty);
+    }
+
+    /**
+     * Match the snake list to the human players and rivals
+     */
+    resizeSnakes() {
+        const count = this.playerCount + this.rivals.length;
+        while (this.snakes.length < count) {
+            this.snakes.push(new Snake());
+        }
+        this.snakes.length = count;
+    }
+
+    /**
+     * Check if this is a versus game (against another player or computer rivals)
+     * @returns {boolean} True with more than one snake
+     */
+    isVersus() {
+        return this.snakes.length > 1;
+    }
+
+    /**
+     * Check if a snake is driven by the computer
+     * @param {number} index - Snake index
+     * @returns {boolean} True for computer rivals
+     */
+    isRival(index) {
+        return index >= this.playerCount;
+    }
+
+    /**
+     * Get the snakes still in the game
+     * @returns {Array} Live snakes
+     */
+    getLiveSnakes() {
+        return this.snakes.filter((snake, index) => this.alive[index]);
+    }
+
+    /**
+     * Get the live snakes a snake is up against
+     * @param {number} index - Snake index
+     * @returns {Array} The other live snakes
+     */
+    getRivalsOf(index) {
+        return this.snakes.filter((snake, other) => other !== index && this.alive[other]);
+    }
+
+    /**
+     * Get where each snake starts
+     * @returns {Array} Spawn point per player (null means the board centre facing right)
+     */
+    getSpawnPoints() {
+        if (!this.isVersus()) {
+            return [this.level ? this.level.spawn : null];
+        }
+        
+        // Pairs on opposite sides of the board, mirrored through the centre so nobody has an edge
+        const { columns, rows } = gameConfig.board;
+        const offset = Math.floor(rows / 3);
+        const margin = Math.floor(columns / 6);
+        return [
+            { x: Math.floor(columns / 2), y: offset, direction: DIRECTIONS.RIGHT },
+            { x: columns - 1 - Math.floor(columns / 2), y: rows - 1 - offset, direction: DIRECTIONS.LEFT },
+            { x: margin, y: rows - 1 - offset, direction: DIRECTIONS.UP },
+            { x: columns - 1 - margin, y: offset, direction: DIRECTIONS.DOWN }
+        ].slice(0, this.snakes.length);
+    }
+
+    /**
+     * Set the level used from the next reset
+     * A level brings its own board size; with null the board size is left as it is.
+     * @param {Level|null} level - Level to play, or null for the open board
+     */
+    setLevel(level) {
+        this.level = level;
+        if (level) {
+            utils.setBoardSize(level.columns, level.rows);
+        }
+    }
+
+    /**
+     * Reset to a fresh game
+     * @param {number|string} [seed] - Seed for the game (a new one is generated if omitted)
+     */
+    reset(seed = this.random.generateSeed()) {
+        // Seed before anything random happens so the whole game is reproducible
+        this.random.setSeed(seed);
+        this.seed = this.random.seed;
+        
+        const spawns = this.getSpawnPoints();
+        this.snakes.forEach((snake, index) => snake.reset(spawns[index]));
+        this.foods.clear();
+        this.scores = this.snakes.map(() => 0);
+        this.alive = this.snakes.map(() => true);
+        this.winner = null;
+        this.speed = gameConfig.snake.speed;
+        this.tickCount = 0;
+        this.elapsedTime = 0;
+        this.effects.clear();
+        this.over = false;
+        this.cleared = false;
+        this.lastCollisions = null;
+        
+        // Generate initial food
+        this.foods.refill(this.getLiveSnakes(), this.level, 0);
+    }
+
+    /**
+     * Queue a turn in the player's turn buffer (made one per tick)
+     * @param {Object} direction - New direction
+     * @param {number} [player] - Index of the player steering
+     * @returns {boolean} True if the turn was queued
+     */
+    changeDirection(direction, player = 0) {
+        const snake = this.snakes[player];
+        if (!snake || this.isRival(player)) return false;
+        
+        return snake.changeDirection(direction);
+    }
+
+    /**
+     * Advance the simulation by exactly one tick
+     * @returns {Object} Tick result
+     */
+    step() {
+        const result = {
+            tick: this.tickCount,
+            collisions: null,
+            playerCollisions: [],
+            foodEaten: null, // first item eaten this tick (see meals for all of them)
+            eater: null,
+            points: 0,
+            meals: [], // { eater, food, points } per item eaten this tick
+            gameOver: this.over,
+            levelComplete: false
+        };
+        
+        if (this.over) {
+            return result;
+        }
+        
+        this.tickCount++;
+        this.elapsedTime += this.speed;
+        result.tick = this.tickCount;
+        
+        // Computer rivals decide before anyone moves, from the same board the players see
+        this.rivals.forEach((rival, offset) => {
+            const index = this.playerCount + offset;
+            if (this.alive[index]) {
+                const direction = rival.chooseDirection(this, index);
+                if (direction) {
+                    this.snakes[index].changeDirection(direction);
+                }
+            }
+        });
+        
+        // Move every live snake before checking collisions so head-on meetings are seen by both;
+        // shielded snakes remember where they were so a wall hit can be undone
+        const shielded = this.snakes.map((snake, index) => (this.alive[index] && this.effects.isActive('shield', index)
+            ? snake.getState()
+            : null));
+        this.snakes.forEach((snake, index) => {
+            if (this.alive[index]) {
+                snake.move();
+            }
+        });
+        
+        // Moving food takes its step once the snakes have moved, so it never steps into one
+        this.foods.move(this.speed, this.getLiveSnakes(), this.level);
+        
+        // Decoys vanish before anyone can reach them
+        const dispelled = this.foods.dispelDecoys(this.getLiveSnakes());
+        
+        // Check collisions, each live snake against the board and every other live snake
+        const playerCollisions = this.snakes.map((snake, index) => (this.alive[index]
+            ? this.collisionDetector.checkAllCollisions(snake, this.foods.getItems(), this.level, this.getRivalsOf(index))
+            : null));
+        playerCollisions.forEach((collisions, index) => {
+            if (collisions) {
+                this.applyProtection(collisions, index, shielded[index]);
+            }
+        });
+        this.lastCollisions = playerCollisions[0];
+        result.collisions = playerCollisions[0];
+        result.playerCollisions = playerCollisions;
+        
+        // Handle food collisions (only one snake can get to each item first)
+        const eaten = new Set();
+        playerCollisions.forEach((collisions, eater) => {
+            if (collisions && collisions.food.detected && !eaten.has(collisions.food.foodIndex)) {
+                eaten.add(collisions.food.foodIndex);
+                result.meals.push({ eater: eater, food: collisions.food, points: this.handleFoodCollision(collisions.food, eater) });
+                
+                // Bombs, and poison that leaves nothing of the snake, end its game
+                if (collisions.food.foodType === 'bomb' || this.snakes[eater].getLength() === 0) {
+                    collisions.food.fatal = true;
+                    collisions.gameEnding = true;
+                }
+            }
+        });
+        if (result.meals.length > 0) {
+            result.foodEaten = result.meals[0].food;
+            result.eater = result.meals[0].eater;
+            result.points = result.meals[0].points;
+        }
+        if (result.meals.length > 0 || dispelled) {
+            // Replace eaten and vanished items once every snake has grown
+            this.foods.refill(this.getLiveSnakes(), this.level, this.getTopScore());
+        }
+        
+        // Snakes that crashed are out; the game ends when no human player is left or only one snake is
+        const crashed = [];
+        playerCollisions.forEach((collisions, index) => {
+            if (collisions && collisions.gameEnding) {
+                this.alive[index] = false;
+                this.effects.clearPlayer(index);
+                crashed.push(index);
+            }
+        });
+        result.crashed = crashed;
+        
+        const survivors = this.snakes.map((snake, index) => index).filter(index => this.alive[index]);
+        const playersLeft = survivors.some(index => !this.isRival(index));
+        if (crashed.length > 0 && (!playersLeft || (this.isVersus() && survivors.length <= 1))) {
+            this.over = true;
+            this.winner = this.isVersus() ? this.pickWinner(survivors) : null;
+            result.gameOver = true;
+            return result;
+        }
+        
+        // Reaching the level's goal ends the run as a win
+        if (this.level && !this.isVersus() && this.level.isComplete(this.score, this.snake.getLength())) {
+            this.over = true;
+            this.cleared = true;
+            result.gameOver = true;
+            result.levelComplete = true;
+            return result;
+        }
+        
+        // Update food, replacing expired items
+        this.foods.update(this.speed, this.getLiveSnakes(), this.level, this.getTopScore());
+        this.pullFood();
+        
+        // Count down timed effects in game time
+        this.effects.tick(this.speed);
+        
+        // Increase speed gradually
+        this.updateSpeed();
+        
+        return result;
+    }
+
+    /**
+     * Apply the rules for eating food (the item is replaced by the next refill)
+     * @param {Object} foodCollision - Food collision data
+     * @param {number} [player] - Index of the player that ate
+     * @returns {number} Points scored
+     */
+    handleFoodCollision(foodCollision, player = 0) {
+        // Consume food and get points (a running multiplier scales gains, not poison's penalty)
+        const factor = this.effects.isActive('multiplier', player) ? powerUps.multiplier.factor : 1;
+        const value = this.foods.consume(foodCollision.foodIndex);
+        const points = value > 0 ? value * factor : value;
+        this.scores[player] = Math.max(0, this.scores[player] + points);
+        
+        // Grow snake by the food type's segments (hazards don't feed it)
+        const growth = gameConfig.food.growth[foodCollision.foodType];
+        this.snakes[player].grow(growth === undefined ? 1 : growth);
+        
+        // Handle special effects
+        if (foodCollision.specialEffect) {
+            this.applySpecialEffect(foodCollision.specialEffect, player);
+        }
+        
+        return points;
+    }
+
+    /**
+     * Apply a special food effect
+     * @param {Object} effect - Special effect data
+     * @param {number} [player] - Index of the snake that picked it up
+     */
+    applySpecialEffect(effect, player = 0) {
+        switch (effect.type) {
+            case 'shrink':
+                this.snakes[player].shrink(powerUps.shrink.amount, gameConfig.snake.initialLength);
+                break;
+            case 'poison':
+                // Poison may shrink the snake away to nothing; step() ends its game then
+                this.snakes[player].shrink(effect.shrink, 0);
+                break;
+            case 'bomb':
+                // Handled by step(): eating a bomb ends the snake's game
+                break;
+            default:
+                // Timed effects run in game time and stack as their catalogue entry says
+                this.effects.add(effect.type, player);
+        }
+        
+        this.updateSpeed();
+    }
+
+    /**
+     * Let power-ups cancel collisions that would otherwise end a snake's game
+     * Ghosts pass through their own body; a shield absorbs a wall hit by undoing the move and
+     * turning the snake towards open space.
+     * @param {Object} collisions - Collision results for the snake (updated in place)
+     * @param {number} index - Index of the snake
+     * @param {Object|null} before - Snake state before this tick's move, if it had a shield
+     */
+    applyProtection(collisions, index, before) {
+        if (collisions.self.detected && this.effects.isActive('ghost', index)) {
+            collisions.self.detected = false;
+            collisions.self.protectedBy = 'ghost';
+        }
+        
+        const wall = collisions.boundary.detected ? collisions.boundary : collisions.obstacle;
+        if (wall.detected && before && this.effects.useCharge('shield', index)) {
+            const snake = this.snakes[index];
+            snake.setState(before);
+            collisions.boundary.detected = false;
+            collisions.obstacle.detected = false;
+            wall.protectedBy = 'shield';
+            
+            // Turns queued behind the one that hit the wall no longer make sense
+            snake.clearTurns();
+            const escape = this.collisionDetector.getSafePositions(snake, this.level, this.getRivalsOf(index))
+                .find(move => move.canMove);
+            if (escape) {
+                snake.changeDirection(escape.direction);
+            }
+        }
+        
+        collisions.gameEnding = collisions.boundary.detected || collisions.obstacle.detected || collisions.self.detected ||
+                                collisions.snake.detected || collisions.headOn.detected;
+    }
+
+    /**
+     * Pull food towards snakes with a magnet, one cell per tick, never onto a snake, wall or other food
+     */
+    pullFood() {
+        this.snakes.forEach((snake, index) => {
+            if (!this.alive[index] || !this.effects.isActive('magnet', index)) {
+                return;
+            }
+            
+            const head = snake.getHead();
+            for (const food of this.foods.getActiveItems()) {
+                const position = food.getPosition();
+                const distance = utils.calculateDistance(head, position);
+                if (distance > powerUps.magnet.radius) {
+                    continue;
+                }
+                
+                const taken = this.foods.getActiveItems().filter(other => other !== food).map(other => other.getPosition());
+                let best = null;
+                let bestDistance = distance;
+                for (const direction of Object.values(DIRECTIONS)) {
+                    const next = utils.getNeighbourPosition(position, direction);
+                    const nextDistance = utils.calculateDistance(head, next);
+                    if (nextDistance < bestDistance && utils.isValidPosition(next) &&
+                        food.isPositionFree(next, this.getLiveSnakes(), this.level, taken)) {
+                        best = next;
+                        bestDistance = nextDistance;
+                    }
+                }
+                if (best) {
+                    food.moveTo(best);
+                }
+            }
+        });
+    }
+
+    /**
+     * Update game speed based on score and active boosts
+     */
+    updateSpeed() {
+        // Speed up along the configured ramp, but never past the difficulty's floor
+        const ramp = gameConfig.snake.speedRamp;
+        const steps = ramp.pointsPerStep > 0 ? Math.floor(this.getTopScore() / ramp.pointsPerStep) : 0;
+        this.speed = Math.max(gameConfig.snake.minSpeed, gameConfig.snake.speed - steps * ramp.reductionPerStep);
+        
+        if (this.effects.isActive('speed')) {
+            this.speed = Math.max(50, this.speed - 50);
+        }
+        if (this.effects.isActive('slow')) {
+            this.speed = Math.round(this.speed * powerUps.slow.factor);
+        }
+    }
+
+    /**
+     * Decide who won a multi-snake game
+     * @param {Array} survivors - Indices of the snakes still in the game
+     * @returns {number|null} Winning snake (the last one standing, else the top-scoring survivor), or null for a draw
+     */
+    pickWinner(survivors) {
+        if (survivors.length <= 1) {
+            return survivors.length === 1 ? survivors[0] : null;
+        }
+        
+        const best = Math.max(...survivors.map(index => this.scores[index]));
+        const leaders = survivors.filter(index => this.scores[index] === best);
+        return leaders.length === 1 ? leaders[0] : null;
+    }
+
+    /**
+     * Get the highest score on the board, which drives the shared speed ramp
+     * @returns {number} Highest player score
+     */
+    getTopScore() {
+        return Math.max(...this.scores);
+    }
+
+    /**
+     * Check if the game has ended
+     * @returns {boolean} True if the game is over
+     */
+    isOver() {
+        return this.over;
+    }
+
+    /**
+     * Check every live snake's invariants (crashed snakes keep whatever body they crashed with)
+     * @returns {Object} Validation result
+     */
+    validate() {
+        const issues = [];
+        this.snakes.forEach((snake, index) => {
+            if (!this.alive[index]) return;
+            
+            // Ghosts pass through their own body, so their segments may overlap
+            issues.push(...snake.validate({ allowOverlap: this.effects.isActive('ghost', index) }).issues);
+        });
+        
+        return {
+            valid: issues.length === 0,
+            issues: issues
+        };
+    }
+
+    /**
+     * Get the full simulation state for keyframes and saves
+     * @returns {Object} Simulation state
+     */
+    getState() {
+        return {
+            snakes: this.snakes.map(snake => snake.getState()),
+            foods: this.foods.getState(),
+            rng: this.random.getState(),
+            scores: [...this.scores],
+            alive: [...this.alive],
+            rivals: this.getRivalDifficulties(),
+            winner: this.winner,
+            speed: this.speed,
+            effects: this.effects.getState(),
+            tickCount: this.tickCount,
+            elapsedTime: this.elapsedTime,
+            over: this.over,
+            cleared: this.cleared
+        };
+    }
+
+    /**
+     * Restore the simulation from a saved state
+     * @param {Object} state - Simulation state to restore
+     */
+    setState(state) {
+        // Saves from before versus mode hold a single snake and score
+        const snakeStates = state.snakes || [state.snake];
+        const rivals = state.rivals || [];
+        this.rivals = [];
+        this.setPlayerCount(snakeStates.length - rivals.length);
+        this.setRivals(rivals);
+        this.snakes.forEach((snake, index) => snake.setState(snakeStates[index]));
+        this.foods.setState(state.foods || [state.food]); // saves from before multiple food items hold one
+        this.random.setState(state.rng);
+        this.seed = this.random.seed;
+        this.scores = state.scores ? [...state.scores] : [state.score];
+        this.alive = state.alive ? [...state.alive] : this.snakes.map(() => true);
+        this.winner = state.winner === undefined ? null : state.winner;
+        this.speed = state.speed;
+        // Saves from before the effect system only ever had a speed boost
+        this.effects.setState(state.effects ||
+            (state.speedBoostRemaining > 0 ? [{ type: 'speed', player: 0, remaining: state.speedBoostRemaining, charges: 0 }] : []));
+        this.tickCount = state.tickCount;
+        this.elapsedTime = state.elapsedTime;
+        this.over = Boolean(state.over);
+        this.cleared = Boolean(state.cleared);
+    }
+
+    /**
+     * Get simulation statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        return {
+            score: this.score,
+            scores: [...this.scores],
+            snakeLength: this.snake.getLength(),
+            players: this.playerCount,
+            rivals: this.getRivalDifficulties(),
+            winner: this.winner,
+            speed: this.speed,
+            seed: this.seed,
+            ticks: this.tickCount,
+            elapsedTime: this.elapsedTime,
+            over: this.over,
+            levelId: this.level ? this.level.id : null,
+            cleared: this.cleared
+        };
+    }
+}
+
+// Export GameEngine class
+if (typeof window !== 'undefined') {
+    window.GameEngine = GameEngine;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameEngine };
+}
\ No newline at end of file
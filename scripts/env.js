@@ -0,0 +1,411 @@
+// Reinforcement Learning Environment (Node)
+// Gym-style reset(seed) / step(action) wrapper around GameEngine for training agents without a browser.
+// Environments share gameConfig, so every environment in a process plays on the same board size.
+
+// Default reward shaping
+const ENV_REWARDS = {
+    food: 1, // eating food
+    poison: -0.5, // eating poison (instead of the food reward)
+    death: -1, // crashing, eating a bomb or being poisoned away
+    step: 0, // every tick (a small negative value discourages stalling)
+    closer: 0, // moving closer to the nearest food
+    farther: 0, // moving away from the nearest food
+    cleared: 1 // reaching a level's goal
+};
+
+// Actions: absolute directions, or turns relative to the snake's heading
+const ENV_ACTIONS = {
+    absolute: ['up', 'down', 'left', 'right'],
+    relative: ['straight', 'left', 'right']
+};
+
+// Channels of the grid encodings, in order
+const GRID_CHANNELS = ['head', 'body', 'food', 'obstacle', 'hazard'];
+const WINDOW_CHANNELS = ['danger', 'food', 'hazard'];
+
+class SnakeEnv {
+    /**
+     * @param {Object} [options] - Environment options
+     * @param {string} [options.encoding] - Observation encoding: 'grid', 'window' or 'features'
+     * @param {number} [options.windowSize] - Side of the egocentric window in cells (odd)
+     * @param {string} [options.actionMode] - 'absolute' or 'relative'
+     * @param {Object} [options.rewards] - Reward overrides (see ENV_REWARDS)
+     * @param {number} [options.maxSteps] - Ticks before an episode is cut short
+     * @param {number} [options.maxStepsWithoutFood] - Ticks without eating before an episode is cut short
+     * @param {Level} [options.level] - Level to play (the open board if omitted)
+     */
+    constructor(options = {}) {
+        this.encoding = options.encoding || 'grid';
+        this.windowSize = options.windowSize || 11;
+        this.actionMode = options.actionMode || 'absolute';
+        this.rewards = { ...ENV_REWARDS, ...options.rewards };
+        this.maxSteps = options.maxSteps || 10000;
+        this.maxStepsWithoutFood = options.maxStepsWithoutFood || gameConfig.board.columns * gameConfig.board.rows;
+        this.engine = new GameEngine();
+        this.engine.setLevel(options.level || null);
+        this.stepsWithoutFood = 0;
+        this.done = true;
+        
+        if (!['grid', 'window', 'features'].includes(this.encoding)) {
+            throw new Error(`Unknown observation encoding: ${this.encoding}`);
+        }
+        if (!ENV_ACTIONS[this.actionMode]) {
+            throw new Error(`Unknown action mode: ${this.actionMode}`);
+        }
+        if (this.windowSize % 2 === 0) {
+            throw new Error(`Window size must be odd: ${this.windowSize}`);
+        }
+    }
+
+    /**
+     * Number of discrete actions
+     * @returns {number} Action count
+     */
+    getActionCount() {
+        return ENV_ACTIONS[this.actionMode].length;
+    }
+
+    /**
+     * Shape of the observations this environment returns
+     * @returns {Array} Dimensions ([channels, rows, columns] for grids, [length] for features)
+     */
+    getObservationShape() {
+        switch (this.encoding) {
+            case 'grid':
+                return [GRID_CHANNELS.length, gameConfig.board.rows, gameConfig.board.columns];
+            case 'window':
+                return [WINDOW_CHANNELS.length, this.windowSize, this.windowSize];
+            default:
+                return [11];
+        }
+    }
+
+    /**
+     * Start a new episode
+     * @param {number|string} [seed] - Seed for the episode (random if omitted)
+     * @returns {Float32Array} First observation
+     */
+    reset(seed) {
+        this.engine.reset(seed);
+        this.stepsWithoutFood = 0;
+        this.done = false;
+        return this.observe();
+    }
+
+    /**
+     * Advance one tick with an action
+     * @param {number} action - Action index (see ENV_ACTIONS for the action mode)
+     * @returns {Object} { observation, reward, done, info }
+     */
+    step(action) {
+        if (this.done) {
+            throw new Error('Episode is over; call reset() first');
+        }
+        
+        const direction = this.toDirection(action);
+        if (!direction) {
+            throw new Error(`Invalid action: ${action}`);
+        }
+        this.engine.changeDirection(direction);
+        
+        const food = this.getNearestFood();
+        const before = food ? utils.calculateDistance(this.engine.snake.getHead(), food) : 0;
+        const result = this.engine.step();
+        
+        let reward = this.rewards.step;
+        if (result.foodEaten) {
+            const type = result.foodEaten.foodType;
+            if (type === 'poison') {
+                reward += this.rewards.poison;
+            } else if (type !== 'bomb') {
+                reward += this.rewards.food; // a bomb only earns the death penalty
+            }
+            this.stepsWithoutFood = 0;
+        } else {
+            this.stepsWithoutFood++;
+            if (food && !result.gameOver) {
+                const after = utils.calculateDistance(this.engine.snake.getHead(), food);
+                reward += after < before ? this.rewards.closer : this.rewards.farther;
+            }
+        }
+        
+        const collision = this.getCollisionType(result.collisions);
+        if (result.levelComplete) {
+            reward += this.rewards.cleared;
+        } else if (collision) {
+            reward += this.rewards.death;
+        }
+        
+        // Cut endless episodes short (a snake circling forever never ends on its own)
+        const truncated = !result.gameOver &&
+            (this.engine.tickCount >= this.maxSteps || this.stepsWithoutFood >= this.maxStepsWithoutFood);
+        this.done = result.gameOver || truncated;
+        
+        return {
+            observation: this.observe(),
+            reward: reward,
+            done: this.done,
+            info: {
+                score: this.engine.score,
+                length: this.engine.snake.getLength(),
+                tick: this.engine.tickCount,
+                collision: collision,
+                foodEaten: Boolean(result.foodEaten),
+                levelComplete: result.levelComplete,
+                truncated: truncated
+            }
+        };
+    }
+
+    /**
+     * Map an action index to a direction
+     * @param {number} action - Action index
+     * @returns {Object|null} Direction, or null for an invalid action
+     */
+    toDirection(action) {
+        const name = ENV_ACTIONS[this.actionMode][action];
+        if (!name) {
+            return null;
+        }
+        if (this.actionMode === 'absolute') {
+            return utils.getDirectionByName(name);
+        }
+        
+        const heading = this.engine.snake.direction;
+        return name === 'straight' ? heading : utils.rotateDirection(heading, name);
+    }
+
+    /**
+     * Name the collision that ended the episode
+     * @param {Object|null} collisions - Collision results from checkAllCollisions
+     * @returns {string|null} Collision type, or null if nothing fatal happened
+     */
+    getCollisionType(collisions) {
+        if (!collisions || !collisions.gameEnding) {
+            return null;
+        }
+        const fatal = ['boundary', 'obstacle', 'self', 'snake', 'headOn'].find(type => collisions[type] && collisions[type].detected);
+        if (fatal) {
+            return fatal;
+        }
+        // A bomb, or poison that shrank the snake away
+        return collisions.food && collisions.food.fatal ? 'food' : null;
+    }
+
+    /**
+     * Find the food item closest to the snake's head, ignoring poison and bombs
+     * @returns {Object|null} Food position, or null if there is none
+     */
+    getNearestFood() {
+        const head = this.engine.snake.getHead();
+        let nearest = null;
+        if (!head) {
+            return null;
+        }
+        for (const food of this.engine.foods.getActiveItems().filter(item => !item.isHazard())) {
+            const position = food.getPosition();
+            if (!nearest || utils.calculateDistance(head, position) < utils.calculateDistance(head, nearest)) {
+                nearest = position;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Encode the current state
+     * @returns {Float32Array} Observation
+     */
+    observe() {
+        switch (this.encoding) {
+            case 'grid':
+                return this.encodeGrid();
+            case 'window':
+                return this.encodeWindow();
+            default:
+                return this.encodeFeatures();
+        }
+    }
+
+    /**
+     * Full-board grid with one channel per GRID_CHANNELS entry
+     * @returns {Float32Array} Channels x rows x columns
+     */
+    encodeGrid() {
+        const { columns, rows } = gameConfig.board;
+        const plane = columns * rows;
+        const data = new Float32Array(GRID_CHANNELS.length * plane);
+        const set = (channel, position) => {
+            if (utils.isValidPosition(position)) {
+                data[channel * plane + position.y * columns + position.x] = 1;
+            }
+        };
+        
+        this.engine.snake.body.forEach((segment, index) => set(index === 0 ? 0 : 1, segment));
+        this.engine.foods.getActiveItems().forEach(food => set(food.isHazard() ? 4 : 2, food.getPosition()));
+        if (this.engine.level) {
+            this.engine.level.getWalls().forEach(wall => set(3, wall));
+        }
+        
+        return data;
+    }
+
+    /**
+     * Egocentric window centred on the head and turned so the snake faces up
+     * Cells off the board count as danger (they wrap around with portal walls). Poison and bombs
+     * show on the hazard plane instead of the food plane.
+     * @returns {Float32Array} Channels x size x size
+     */
+    encodeWindow() {
+        const size = this.windowSize;
+        const half = (size - 1) / 2;
+        const data = new Float32Array(WINDOW_CHANNELS.length * size * size);
+        const head = this.engine.snake.getHead();
+        if (!head) {
+            return data; // poisoned away: nothing left to look from
+        }
+        
+        const forward = this.engine.snake.direction;
+        const right = utils.rotateDirection(forward, 'right');
+        const foods = new Map(this.engine.foods.getActiveItems().map(food => [
+            `${food.getPosition().x},${food.getPosition().y}`, food.isHazard() ? 2 : 1
+        ]));
+        const occupied = new Set(this.engine.snake.body.slice(1).map(segment => `${segment.x},${segment.y}`));
+        
+        for (let row = 0; row < size; row++) {
+            for (let column = 0; column < size; column++) {
+                const ahead = half - row;
+                const across = column - half;
+                let position = utils.createPosition(
+                    head.x + forward.x * ahead + right.x * across,
+                    head.y + forward.y * ahead + right.y * across
+                );
+                if (gameConfig.board.wrap) {
+                    position = utils.wrapPosition(position);
+                }
+                
+                const cell = row * size + column;
+                const blocked = !utils.isValidPosition(position) || occupied.has(`${position.x},${position.y}`) ||
+                                Boolean(this.engine.level && this.engine.level.isWall(position));
+                data[cell] = blocked ? 1 : 0;
+                const plane = foods.get(`${position.x},${position.y}`);
+                if (plane) {
+                    data[plane * size * size + cell] = 1;
+                }
+            }
+        }
+        
+        return data;
+    }
+
+    /**
+     * Compact feature vector: danger (crashes and hazards) straight/right/left, heading (up, down, left,
+     * right) and where the nearest safe food is (left, right, above, below)
+     * @returns {Float32Array} 11 features
+     */
+    encodeFeatures() {
+        const snake = this.engine.snake;
+        const head = snake.getHead();
+        if (!head) {
+            return new Float32Array(11);
+        }
+        
+        const heading = snake.direction;
+        const hazards = this.engine.foods.getActiveItems().filter(food => food.isHazard()).map(food => food.getPosition());
+        const isDanger = direction => {
+            const cell = utils.getNeighbourPosition(head, direction);
+            return !this.engine.collisionDetector.isPositionSafe(cell, snake, this.engine.level) ||
+                   hazards.some(hazard => utils.positionsEqual(hazard, cell));
+        };
+        const food = this.getNearestFood() || head;
+        
+        return Float32Array.from([
+            isDanger(heading),
+            isDanger(utils.rotateDirection(heading, 'right')),
+            isDanger(utils.rotateDirection(heading, 'left')),
+            heading === DIRECTIONS.UP,
+            heading === DIRECTIONS.DOWN,
+            heading === DIRECTIONS.LEFT,
+            heading === DIRECTIONS.RIGHT,
+            food.x < head.x,
+            food.x > head.x,
+            food.y < head.y,
+            food.y > head.y
+        ].map(Number));
+    }
+}
+
+// Steps many environments in one call, resetting each one as soon as its episode ends
+class VectorEnv {
+    /**
+     * @param {number} count - Number of environments
+     * @param {Object} [options] - SnakeEnv options, shared by every environment
+     */
+    constructor(count, options = {}) {
+        this.envs = Array.from({ length: count }, () => new SnakeEnv(options));
+        this.baseSeed = null;
+        this.episodes = new Array(count).fill(0);
+    }
+
+    /**
+     * Pick the seed for an environment's next episode
+     * Seeded runs give environment i the seeds base + i, base + i + count, ... so they never repeat.
+     * @param {number} index - Environment index
+     * @returns {number|undefined} Seed (undefined plays a random one)
+     */
+    nextSeed(index) {
+        if (this.baseSeed === null) {
+            return undefined;
+        }
+        return this.baseSeed + index + this.envs.length * this.episodes[index]++;
+    }
+
+    /**
+     * Reset every environment
+     * @param {number} [seed] - Base seed (random episodes if omitted)
+     * @returns {Array} Observation per environment
+     */
+    reset(seed) {
+        this.baseSeed = typeof seed === 'number' ? seed : null;
+        this.episodes.fill(0);
+        return this.envs.map((env, index) => env.reset(this.nextSeed(index)));
+    }
+
+    /**
+     * Step every environment with its action
+     * A finished environment is reset straight away: its observation is the new episode's first, and
+     * info.finalObservation holds the last observation of the one that ended.
+     * @param {Array} actions - Action per environment
+     * @returns {Object} { observations, rewards: Float32Array, dones: Uint8Array, infos }
+     */
+    step(actions) {
+        const count = this.envs.length;
+        const observations = new Array(count);
+        const rewards = new Float32Array(count);
+        const dones = new Uint8Array(count);
+        const infos = new Array(count);
+        
+        this.envs.forEach((env, index) => {
+            const result = env.step(actions[index]);
+            rewards[index] = result.reward;
+            dones[index] = result.done ? 1 : 0;
+            infos[index] = result.info;
+            observations[index] = result.observation;
+            
+            if (result.done) {
+                result.info.finalObservation = result.observation;
+                observations[index] = env.reset(this.nextSeed(index));
+            }
+        });
+        
+        return { observations, rewards, dones, infos };
+    }
+}
+
+// Export environment API
+if (typeof window !== 'undefined') {
+    window.SnakeEnv = SnakeEnv;
+    window.VectorEnv = VectorEnv;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SnakeEnv, VectorEnv, ENV_REWARDS, ENV_ACTIONS };
+}
\ No newline at end of file
@@ -1,33 +1,57 @@
 // Food Entity Class
+
+// Ways food can move on its own, keyed by name (spawn table entries pick one with `behaviour`)
+//   interval: game time (ms) between moves; food moves at most one cell per tick
+const foodBehaviours = {
+    wander: { interval: 600, description: 'Drifts to a random neighbouring cell' },
+    flee: { interval: 300, radius: 6, description: 'Backs away from snake heads that come within the radius' },
+    patrol: { interval: 450, description: "Walks one of the level's patrol paths, turning back when blocked" }
+};
+
 class Food {
-    constructor() {
+    /**
+     * @param {SeededRandom} [random] - Random source (defaults to the shared generator)
+     */
+    constructor(random = rng) {
+        this.random = random;
         this.position = null;
         this.value = gameConfig.food.points;
         this.active = false;
         this.type = 'normal';
         this.color = gameConfig.food.color;
         this.size = gameConfig.food.size;
-        this.spawnTime = 0;
+        this.age = 0; // game time (ms) since spawn, advanced by update()
+        this.lifetime = 0; // game time (ms) before the item expires, 0 for never
         this.specialFood = null;
+        
+        // Movement (see foodBehaviours); static food has no behaviour
+        this.behaviour = null;
+        this.moveTimer = 0; // game time (ms) since the last move
+        this.path = null; // patrol path cells
+        this.pathIndex = 0;
+        this.pathStep = 1; // +1 or -1 along the path
+        this.movedFrom = null; // cell the food left this tick, still reachable by a snake arriving there
     }
 
     /**
-     * Generate new food at random position avoiding snake body
-     * @param {Snake} snake - Snake instance to avoid
+     * Generate new food at random position avoiding snake body and walls
+     * @param {Snake|Array} snake - Snake instance (or array of snakes) to avoid
+     * @param {Level} [level] - Level whose walls to avoid
+     * @param {Array} [taken] - Positions of other food items to avoid
      * @returns {boolean} True if food was successfully generated
      */
-    generateNewPosition(snake) {
+    generateNewPosition(snake, level = null, taken = []) {
         const maxAttempts = 100;
         let attempts = 0;
         
         while (attempts < maxAttempts) {
-            const newPosition = utils.getRandomPosition();
+            const newPosition = utils.getRandomPosition(this.random);
             
-            // Check if position is not occupied by snake
-            if (!snake.isPositionOccupied(newPosition)) {
+            // Check if position is not occupied by snake or a wall
+            if (this.isPositionFree(newPosition, snake, level, taken)) {
                 this.position = newPosition;
                 this.active = true;
-                this.spawnTime = Date.now();
+                this.age = 0;
                 this.resetToNormal();
                 return true;
             }
@@ -36,22 +60,38 @@ class Food {
         }
         
         // Fallback: find any available position
-        return this.findAvailablePosition(snake);
+        return this.findAvailablePosition(snake, level, taken);
+    }
+
+    /**
+     * Check if food may be placed at a position
+     * @param {Object} position - Position to check
+     * @param {Snake|Array} snake - Snake instance (or array of snakes) to avoid
+     * @param {Level} [level] - Level whose walls to avoid
+     * @param {Array} [taken] - Positions of other food items to avoid
+     * @returns {boolean} True if the cell is free
+     */
+    isPositionFree(position, snake, level = null, taken = []) {
+        const snakes = Array.isArray(snake) ? snake : [snake];
+        return !snakes.some(other => other.isPositionOccupied(position)) && !(level && level.isWall(position)) &&
+               !taken.some(other => utils.positionsEqual(other, position));
     }
 
     /**
      * Find any available position on the board
-     * @param {Snake} snake - Snake instance to avoid
+     * @param {Snake|Array} snake - Snake instance (or array of snakes) to avoid
+     * @param {Level} [level] - Level whose walls to avoid
+     * @param {Array} [taken] - Positions of other food items to avoid
      * @returns {boolean} True if position was found
      */
-    findAvailablePosition(snake) {
+    findAvailablePosition(snake, level = null, taken = []) {
         for (let y = 0; y < gameConfig.board.rows; y++) {
             for (let x = 0; x < gameConfig.board.columns; x++) {
                 const testPosition = utils.createPosition(x, y);
-                if (!snake.isPositionOccupied(testPosition)) {
+                if (this.isPositionFree(testPosition, snake, level, taken)) {
                     this.position = testPosition;
                     this.active = true;
-                    this.spawnTime = Date.now();
+                    this.age = 0;
                     this.resetToNormal();
                     return true;
                 }
@@ -65,6 +105,8 @@ class Food {
 
     /**
      * Check if food is eaten by snake head
+     * A head arriving in the cell the food just left catches it too, so snake and food can't pass
+     * through each other when both move in the same tick.
      * @param {Object} snakeHead - Snake head position
      * @returns {boolean} True if food is eaten
      */
@@ -73,7 +115,8 @@ class Food {
             return false;
         }
         
-        return utils.positionsEqual(this.position, snakeHead);
+        return utils.positionsEqual(this.position, snakeHead) ||
+               (this.movedFrom !== null && utils.positionsEqual(this.movedFrom, snakeHead));
     }
 
     /**
@@ -88,6 +131,7 @@ class Food {
         const points = this.value;
         this.active = false;
         this.position = null;
+        this.movedFrom = null;
         
         return points;
     }
@@ -100,6 +144,7 @@ class Food {
         this.value = gameConfig.food.points;
         this.color = gameConfig.food.color;
         this.size = gameConfig.food.size;
+        this.lifetime = 0;
         this.specialFood = null;
     }
 
@@ -121,85 +166,102 @@ class Food {
                 this.color = '#9b59b6'; // Purple color for mega
                 this.size = gameConfig.food.size + 4;
                 break;
-            case 'speed':
-                this.value = gameConfig.food.points;
-                this.color = '#3498db'; // Blue color for speed boost
+            case 'poison':
+                this.value = -gameConfig.food.points * 2;
+                this.color = '#6b8e23'; // Olive color for poison
                 this.size = gameConfig.food.size;
-                this.specialFood = { type: 'speed', duration: 5000 }; // 5 seconds
+                this.specialFood = { type: 'poison', shrink: 3 };
+                break;
+            case 'bomb':
+                this.value = 0;
+                this.color = '#2c3e50'; // Dark color for bombs
+                this.size = gameConfig.food.size + 2;
+                this.specialFood = { type: 'bomb' };
+                break;
+            case 'decoy':
+                // Passes for normal food at a glance, only a little smaller; vanishes when approached
+                this.value = gameConfig.food.points;
+                this.color = gameConfig.food.color;
+                this.size = gameConfig.food.size - 4;
+                this.specialFood = { type: 'decoy', radius: 2 };
                 break;
             default:
-                this.resetToNormal();
+                // Power-ups are worth normal points and take their look and effect from the catalogue
+                if (powerUps[specialType]) {
+                    this.value = gameConfig.food.points;
+                    this.color = powerUps[specialType].color;
+                    this.size = gameConfig.food.size;
+                    this.specialFood = { type: specialType, duration: powerUps[specialType].duration };
+                } else {
+                    this.resetToNormal();
+                }
         }
     }
 
     /**
-     * Check if food should become special based on time or conditions
-     * @param {number} currentScore - Current game score
-     * @returns {boolean} True if food became special
+     * Send the food along a patrol path, starting from one of its cells
+     * @param {Array} path - Path cells in walking order
+     * @param {number} index - Index of the starting cell
      */
-    checkForSpecialFood(currentScore) {
-        // Don't make already special food special again
-        if (this.type !== 'normal') {
-            return false;
-        }
-        
-        // Random chance for special food based on score
-        const specialChance = Math.min(0.1 + (currentScore / 1000) * 0.05, 0.3);
-        
-        if (Math.random() < specialChance) {
-            // Choose random special type
-            const specialTypes = ['bonus', 'mega', 'speed'];
-            const randomType = specialTypes[Math.floor(Math.random() * specialTypes.length)];
-            this.makeSpecial(randomType);
-            return true;
-        }
-        
-        return false;
+    startPatrol(path, index) {
+        this.behaviour = 'patrol';
+        this.path = path.map(cell => ({ x: cell.x, y: cell.y }));
+        this.pathIndex = index;
+        this.pathStep = 1;
+        this.position = { ...this.path[index] };
+    }
+
+    /**
+     * Check if the food moves by itself
+     * @returns {boolean} True for food with a known behaviour
+     */
+    isMoving() {
+        return Boolean(this.behaviour && foodBehaviours[this.behaviour]);
+    }
+
+    /**
+     * Check if eating this food hurts the snake
+     * @returns {boolean} True for poison and bombs
+     */
+    isHazard() {
+        return this.type === 'poison' || this.type === 'bomb';
     }
 
     /**
-     * Get food age in milliseconds
+     * Get food age in milliseconds of game time
      * @returns {number} Age in milliseconds
      */
     getAge() {
-        if (!this.active || !this.spawnTime) {
+        if (!this.active) {
             return 0;
         }
         
-        return Date.now() - this.spawnTime;
+        return this.age;
     }
 
     /**
-     * Check if food has expired (for special foods with time limits)
+     * Check if food has outlived its spawn table lifetime
      * @returns {boolean} True if food has expired
      */
     hasExpired() {
-        // Normal food doesn't expire
-        if (this.type === 'normal') {
+        // Items without a lifetime (normal food by default) never expire
+        if (this.lifetime <= 0) {
             return false;
         }
         
-        // Special food expires after 10 seconds
-        const maxAge = 10000; // 10 seconds
-        return this.getAge() > maxAge;
+        return this.getAge() > this.lifetime;
     }
 
     /**
-     * Update food state (for animations, expiration, etc.)
-     * @param {number} currentScore - Current game score
+     * Age the food (the FoodManager replaces items once they expire)
+     * @param {number} deltaTime - Game time (ms) elapsed since the last update
      */
-    update(currentScore) {
+    update(deltaTime = 0) {
         if (!this.active) {
             return;
         }
         
-        // Check for expiration
-        if (this.hasExpired()) {
-            this.resetToNormal();
-        }
-        
-        // Randomly upgrade to special food
-        this.checkForSpecialFood(currentScore);
+        this.age += deltaTime;
     }
 
     /**
@@ -272,7 +334,17 @@ class Food {
         if (utils.isValidPosition(position)) {
             this.position = position;
             this.active = true;
-            this.spawnTime = Date.now();
+            this.age = 0;
+        }
+    }
+
+    /**
+     * Move active food to another cell, keeping its age
+     * @param {Object} position - New position
+     */
+    moveTo(position) {
+        if (this.active && utils.isValidPosition(position)) {
+            this.position = position;
         }
     }
 
@@ -288,8 +360,15 @@ class Food {
             type: this.type,
             color: this.color,
             size: this.size,
-            spawnTime: this.spawnTime,
-            specialFood: this.specialFood
+            age: this.age,
+            lifetime: this.lifetime,
+            specialFood: this.specialFood,
+            behaviour: this.behaviour,
+            moveTimer: this.moveTimer,
+            path: this.path ? this.path.map(cell => ({ ...cell })) : null,
+            pathIndex: this.pathIndex,
+            pathStep: this.pathStep,
+            movedFrom: this.movedFrom
         };
     }
 
@@ -304,8 +383,16 @@ class Food {
         this.type = state.type;
         this.color = state.color;
         this.size = state.size;
-        this.spawnTime = state.spawnTime;
+        this.age = state.age || 0;
+        // Saves from before the spawn table gave every special item ten seconds
+        this.lifetime = state.lifetime !== undefined ? state.lifetime : (state.type === 'normal' ? 0 : 10000);
         this.specialFood = state.specialFood;
+        this.behaviour = state.behaviour || null;
+        this.moveTimer = state.moveTimer || 0;
+        this.path = state.path ? state.path.map(cell => ({ ...cell })) : null;
+        this.pathIndex = state.pathIndex || 0;
+        this.pathStep = state.pathStep || 1;
+        this.movedFrom = state.movedFrom || null;
     }
 
     /**
@@ -319,11 +406,363 @@ class Food {
             type: this.type,
             value: this.value,
             age: this.getAge(),
+            lifetime: this.lifetime,
             hasExpired: this.hasExpired(),
-            specialFood: this.specialFood
+            specialFood: this.specialFood,
+            behaviour: this.behaviour
         };
     }
 }
 
-// Export Food class
-window.Food = Food;
\ No newline at end of file
+// Keeps several food items on the board at once, drawing each new item's type from gameConfig.food.spawnTable
+class FoodManager {
+    /**
+     * @param {SeededRandom} [random] - Random source (defaults to the shared generator)
+     */
+    constructor(random = rng) {
+        this.random = random;
+        this.items = [];
+    }
+
+    /**
+     * Get how many items are kept on the board
+     * @returns {number} Item count (at least one)
+     */
+    getMaxItems() {
+        return Math.max(1, Math.floor(gameConfig.food.maxItems) || 1);
+    }
+
+    /**
+     * Get every food item
+     * @returns {Array} Food items
+     */
+    getItems() {
+        return this.items;
+    }
+
+    /**
+     * Get the items currently on the board
+     * @returns {Array} Active food items
+     */
+    getActiveItems() {
+        return this.items.filter(food => food.isActive());
+    }
+
+    /**
+     * Count the active items of a type
+     * @param {string} type - Food type
+     * @returns {number} Item count
+     */
+    countType(type) {
+        return this.items.filter(food => food.isActive() && food.getType() === type).length;
+    }
+
+    /**
+     * Remove every item
+     */
+    clear() {
+        this.items = [];
+    }
+
+    /**
+     * Draw the next item's spawn table entry, weighted by each entry's weight
+     * Entries whose minimum score isn't reached yet, or that already have their maximum out, are skipped,
+     * as are patrolling entries on levels without patrol paths.
+     * @param {number} score - Score that unlocks entries
+     * @param {Level} [level] - Level being played
+     * @returns {Object} Spawn table entry
+     */
+    pickEntry(score, level = null) {
+        const hasPatrols = Boolean(level && level.getPatrols().length > 0);
+        const eligible = gameConfig.food.spawnTable.filter(entry => entry.weight > 0 &&
+            score >= (entry.minScore || 0) &&
+            !(entry.maxConcurrent > 0 && this.countType(entry.type) >= entry.maxConcurrent) &&
+            (entry.behaviour !== 'patrol' || hasPatrols));
+        const total = eligible.reduce((sum, entry) => sum + entry.weight, 0);
+        if (total === 0) {
+            return { type: 'normal', lifetime: 0 };
+        }
+        
+        let roll = this.random.next() * total;
+        for (const entry of eligible) {
+            roll -= entry.weight;
+            if (roll < 0) {
+                return entry;
+            }
+        }
+        return eligible[eligible.length - 1];
+    }
+
+    /**
+     * Place one new item on a free cell
+     * @param {Snake|Array} snakes - Snake instance (or array of snakes) to avoid
+     * @param {Level} [level] - Level whose walls to avoid
+     * @param {number} [score] - Score that unlocks spawn table entries
+     * @returns {boolean} True if an item was placed
+     */
+    spawn(snakes, level = null, score = 0) {
+        const food = new Food(this.random);
+        const taken = this.getActiveItems().map(item => item.getPosition());
+        if (!food.generateNewPosition(snakes, level, taken)) {
+            return false;
+        }
+        
+        const entry = this.pickEntry(score, level);
+        if (entry.type !== 'normal') {
+            food.makeSpecial(entry.type);
+        }
+        food.lifetime = entry.lifetime || 0;
+        if (entry.behaviour === 'patrol') {
+            this.placeOnPatrol(food, snakes, level, taken);
+        } else if (foodBehaviours[entry.behaviour]) {
+            food.behaviour = entry.behaviour;
+        }
+        this.items.push(food);
+        return true;
+    }
+
+    /**
+     * Move a new item onto a free cell of one of the level's patrol paths
+     * With every path cell taken the item stays where it spawned and doesn't move.
+     * @param {Food} food - New food item
+     * @param {Snake|Array} snakes - Snake instance (or array of snakes) to avoid
+     * @param {Level} level - Level with patrol paths
+     * @param {Array} taken - Positions of other food items to avoid
+     */
+    placeOnPatrol(food, snakes, level, taken) {
+        const path = this.random.pick(level.getPatrols());
+        const start = this.random.nextInt(path.length);
+        for (let i = 0; i < path.length; i++) {
+            const index = (start + i) % path.length;
+            if (food.isPositionFree(path[index], snakes, level, taken)) {
+                food.startPatrol(path, index);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Drop eaten and expired items and top the board back up
+     * @param {Snake|Array} snakes - Snake instance (or array of snakes) to avoid
+     * @param {Level} [level] - Level whose walls to avoid
+     * @param {number} [score] - Score that unlocks spawn table entries
+     */
+    refill(snakes, level = null, score = 0) {
+        this.items = this.getActiveItems();
+        while (this.items.length < this.getMaxItems()) {
+            if (!this.spawn(snakes, level, score)) {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Make decoys vanish once a snake's head comes close
+     * @param {Array} snakes - Snakes whose heads scare decoys off
+     * @returns {boolean} True if any decoy vanished (refill to replace it)
+     */
+    dispelDecoys(snakes) {
+        let vanished = false;
+        for (const food of this.getActiveItems()) {
+            if (food.getType() !== 'decoy') {
+                continue;
+            }
+            
+            const radius = food.getSpecialEffect().radius;
+            if (snakes.some(snake => utils.calculateDistance(snake.getHead(), food.getPosition()) <= radius)) {
+                food.consume();
+                vanished = true;
+            }
+        }
+        return vanished;
+    }
+
+    /**
+     * Move the items that move by themselves, each on its own schedule
+     * Food never moves into a snake, a wall or another item. Run this after the snakes have moved and
+     * before checking collisions; an item that moves away from a head arriving in its cell is still eaten
+     * (see Food.isEaten).
+     * @param {number} deltaTime - Game time (ms) elapsed since the last move phase
+     * @param {Array} snakes - Live snakes
+     * @param {Level} [level] - Level whose walls to avoid
+     */
+    move(deltaTime, snakes, level = null) {
+        for (const food of this.getActiveItems()) {
+            food.movedFrom = null;
+            if (!food.isMoving()) {
+                continue;
+            }
+            
+            const interval = foodBehaviours[food.behaviour].interval;
+            food.moveTimer += deltaTime;
+            if (food.moveTimer < interval) {
+                continue;
+            }
+            food.moveTimer = Math.min(food.moveTimer - interval, interval);
+            
+            const taken = [];
+            for (const other of this.getActiveItems()) {
+                if (other !== food) {
+                    taken.push(other.getPosition());
+                    if (other.movedFrom) {
+                        taken.push(other.movedFrom);
+                    }
+                }
+            }
+            const isFree = cell => utils.isValidPosition(cell) && food.isPositionFree(cell, snakes, level, taken);
+            
+            let next;
+            switch (food.behaviour) {
+                case 'flee':
+                    next = this.nextFleeCell(food, snakes, isFree);
+                    break;
+                case 'patrol':
+                    next = this.nextPatrolCell(food, isFree);
+                    break;
+                default:
+                    next = this.nextWanderCell(food, isFree);
+            }
+            if (next) {
+                food.movedFrom = food.getPosition();
+                food.moveTo(next);
+            }
+        }
+    }
+
+    /**
+     * Pick a random free neighbouring cell
+     * @param {Food} food - Wandering item
+     * @param {Function} isFree - Checks a cell is free to move into
+     * @returns {Object|null} Cell to move to, or null to stay
+     */
+    nextWanderCell(food, isFree) {
+        const cells = Object.values(DIRECTIONS)
+            .map(direction => utils.getNeighbourPosition(food.getPosition(), direction))
+            .filter(isFree);
+        return cells.length > 0 ? this.random.pick(cells) : null;
+    }
+
+    /**
+     * Pick the free neighbouring cell furthest from the nearest snake head, if it gains any distance
+     * @param {Food} food - Fleeing item
+     * @param {Array} snakes - Live snakes
+     * @param {Function} isFree - Checks a cell is free to move into
+     * @returns {Object|null} Cell to move to, or null to stay
+     */
+    nextFleeCell(food, snakes, isFree) {
+        const nearestHead = cell => Math.min(...snakes.map(snake => utils.calculateDistance(snake.getHead(), cell)));
+        
+        // Nothing to run from until a head comes within the radius (no snakes counts as infinitely far)
+        let bestDistance = nearestHead(food.getPosition());
+        if (bestDistance > foodBehaviours.flee.radius) {
+            return null;
+        }
+        
+        let best = null;
+        for (const direction of Object.values(DIRECTIONS)) {
+            const cell = utils.getNeighbourPosition(food.getPosition(), direction);
+            const distance = nearestHead(cell);
+            if (distance > bestDistance && isFree(cell)) {
+                best = cell;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Get the next cell along the patrol path
+     * Open paths are walked back and forth; a path whose ends meet is walked round as a loop.
+     * A blocked step turns the item around so it tries the other way next time.
+     * @param {Food} food - Patrolling item
+     * @param {Function} isFree - Checks a cell is free to move into
+     * @returns {Object|null} Cell to move to, or null to stay
+     */
+    nextPatrolCell(food, isFree) {
+        const path = food.path;
+        if (!path || path.length < 2) {
+            return null;
+        }
+        
+        const first = path[0];
+        const last = path[path.length - 1];
+        const loop = path.length > 2 && Math.abs(first.x - last.x) + Math.abs(first.y - last.y) === 1;
+        
+        let index = food.pathIndex + food.pathStep;
+        if (loop) {
+            index = (index + path.length) % path.length;
+        } else if (index < 0 || index >= path.length) {
+            food.pathStep = -food.pathStep;
+            index = food.pathIndex + food.pathStep;
+        }
+        
+        if (!isFree(path[index])) {
+            food.pathStep = -food.pathStep;
+            return null;
+        }
+        food.pathIndex = index;
+        return { ...path[index] };
+    }
+
+    /**
+     * Eat an item
+     * @param {number} index - Index of the item in getItems()
+     * @returns {number} Points value of the item
+     */
+    consume(index) {
+        const food = this.items[index];
+        return food ? food.consume() : 0;
+    }
+
+    /**
+     * Age every item and replace the ones that have expired
+     * @param {number} deltaTime - Game time (ms) elapsed since the last update
+     * @param {Snake|Array} snakes - Snake instance (or array of snakes) to avoid
+     * @param {Level} [level] - Level whose walls to avoid
+     * @param {number} [score] - Score that unlocks spawn table entries
+     */
+    update(deltaTime, snakes, level = null, score = 0) {
+        let expired = false;
+        for (const food of this.items) {
+            food.update(deltaTime);
+            if (food.isActive() && food.hasExpired()) {
+                food.consume();
+                expired = true;
+            }
+        }
+        
+        if (expired) {
+            this.refill(snakes, level, score);
+        }
+    }
+
+    /**
+     * Get every item's state for saving/loading
+     * @returns {Array} Food states
+     */
+    getState() {
+        return this.items.map(food => food.getState());
+    }
+
+    /**
+     * Restore the items from saved states
+     * @param {Array} states - Food states to restore
+     */
+    setState(states) {
+        this.items = states.map(state => {
+            const food = new Food(this.random);
+            food.setState(state);
+            return food;
+        });
+    }
+}
+
+// Export food classes
+if (typeof window !== 'undefined') {
+    window.Food = Food;
+    window.FoodManager = FoodManager;
+    window.foodBehaviours = foodBehaviours;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Food, FoodManager, foodBehaviours };
+}
\ No newline at end of file
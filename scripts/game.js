@@ -1,27 +1,73 @@
-// Main Game Engine
+// Main Game Controller (browser shell around GameEngine)
+
+// Bump when the saved game format changes so stale snapshots are discarded
+const SAVE_VERSION = 2;
+
 class Game {
-    constructor() {
-        this.snake = null;
-        this.food = null;
-        this.score = 0;
+    /**
+     * @param {Object} [adapters] - Platform adapters
+     * @param {Renderer} [adapters.renderer] - Draws the game state
+     * @param {InputHandler} [adapters.input] - Feeds player input into the game
+     * @param {SoundEffects} [adapters.audio] - Plays sound effects
+     * @param {Announcer} [adapters.announcer] - Describes the game to screen readers
+     */
+    constructor(adapters = {}) {
+        this.engine = null;
+        this.renderer = adapters.renderer || null;
+        this.input = adapters.input || null;
+        this.audio = adapters.audio || null;
+        this.announcer = adapters.announcer || null;
         this.highScore = 0;
         this.state = gameConfig.game.states.MENU;
-        this.lastUpdateTime = 0;
         this.gameLoopId = null;
-        this.speed = gameConfig.snake.speed;
         this.paused = false;
         this.gameStartTime = 0;
         this.gameEndTime = 0;
+        this.lastReplay = null;
+        this.level = null; // null plays the classic open board
+        this.campaignIndex = null; // index into campaignLevels while playing the campaign
+        this.classicBoard = { columns: gameConfig.board.columns, rows: gameConfig.board.rows }; // board size without a level
+        this.fastForwarding = false; // true while replay seeking re-simulates ticks
+        this.controller = null; // bot steering player 1 instead of the input handler (see bots.js)
+        this.scanner = new SwitchScanner(); // one-switch direction scanning (scanning control scheme)
+        
+        // Fixed-timestep loop state
+        this.accumulator = 0;
+        this.lastFrameTime = null;
+        this.gamepadPollId = null; // frame request polling controllers while the game loop is stopped
         
         // UI elements
         this.scoreElement = null;
+        this.scoreLabel = null;
+        this.player2ScoreElement = null;
+        this.player2ScoreLabel = null;
+        this.player2ScoreDisplay = null;
         this.highScoreElement = null;
+        this.highScoreLabel = null;
+        this.highScoreDisplay = null;
+        this.levelElement = null;
+        this.effectsElement = null;
+        this.canvasElement = null;
+        this.toastElement = null;
+        this.toastTimer = null;
         this.overlayElement = null;
         this.overlayTitle = null;
         this.overlayMessage = null;
         this.startButton = null;
         this.pauseButton = null;
         this.restartButton = null;
+        this.settingsButton = null;
+        this.controlsButton = null;
+        this.continueButton = null;
+        this.replayButton = null;
+        this.bestReplayButton = null;
+        this.importReplayButton = null;
+        this.campaignButton = null;
+        this.versusButton = null;
+        this.cpuButton = null;
+        this.nextLevelButton = null;
+        this.editorButton = null;
+        this.editorResumeButton = null;
         
         this.initialize();
     }
@@ -30,27 +76,48 @@ class Game {
      * Initialize game systems
      */
     initialize() {
-        // Initialize game objects
-        this.snake = new Snake();
-        this.food = new Food();
+        // The browser game draws its randomness from the shared generator
+        this.engine = new GameEngine({ random: rng });
         
         // Setup input handler
-        inputHandler.setGameInstance(this);
+        if (this.input) {
+            this.input.setGameInstance(this);
+        }
         
         // Get UI elements
         this.getUIElements();
+        replayPlayer.initializeControls(this);
+        settingsPanel.initialize(this);
+        controlsPanel.initialize(this);
+        levelEditor.initialize(this);
         
-        // Load high score
-        this.highScore = storage.getHighScore();
+        // Load the high score table for the chosen board mode
+        this.applySettings(storage.getSettings());
+        this.loadHighScore();
         this.updateUI();
         
         // Setup resize handler
         window.addEventListener('resize', utils.debounce(() => {
-            renderer.resize();
+            if (this.renderer) {
+                this.renderer.resize();
+            }
         }, 250));
         
-        // Show initial menu
+        // Keep the current run when the page is closed or reloaded
+        window.addEventListener('beforeunload', () => this.saveProgress());
+        
+        // Keep Tab inside the overlay while it is showing, so keyboard users can't wander behind it
+        document.addEventListener('keydown', (event) => this.trapOverlayFocus(event));
+        
+        // ?bot=<name> hands player 1 to a built-in bot
+        const botName = utils.getUrlParameter('bot');
+        if (botName && botControllers[botName]) {
+            this.setController(botControllers[botName].create());
+        }
+        
+        // Show initial menu, or the editor when the page was opened from a level link
         this.showMenu();
+        levelEditor.openFromUrl();
         
         console.log('Snake Game initialized successfully!');
     }
@@ -60,37 +127,259 @@ class Game {
      */
     getUIElements() {
         this.scoreElement = document.getElementById('current-score');
+        this.scoreLabel = document.getElementById('score-label');
+        this.player2ScoreElement = document.getElementById('player2-score');
+        this.player2ScoreLabel = document.getElementById('player2-score-label');
+        this.player2ScoreDisplay = document.getElementById('player2-score-display');
         this.highScoreElement = document.getElementById('high-score');
+        this.highScoreLabel = document.getElementById('high-score-label');
+        this.highScoreDisplay = document.getElementById('high-score-display');
+        this.levelElement = document.getElementById('level-display');
+        this.effectsElement = document.getElementById('effects-display');
+        this.canvasElement = document.getElementById('game-canvas');
+        this.toastElement = document.getElementById('toast');
         this.overlayElement = document.getElementById('game-overlay');
         this.overlayTitle = document.getElementById('overlay-title');
         this.overlayMessage = document.getElementById('overlay-message');
         this.startButton = document.getElementById('start-btn');
         this.pauseButton = document.getElementById('pause-btn');
         this.restartButton = document.getElementById('restart-btn');
+        this.settingsButton = document.getElementById('settings-btn');
+        this.controlsButton = document.getElementById('controls-btn');
+        this.continueButton = document.getElementById('continue-btn');
+        this.replayButton = document.getElementById('replay-btn');
+        this.bestReplayButton = document.getElementById('best-replay-btn');
+        this.importReplayButton = document.getElementById('import-replay-btn');
+        this.campaignButton = document.getElementById('campaign-btn');
+        this.versusButton = document.getElementById('versus-btn');
+        this.cpuButton = document.getElementById('cpu-btn');
+        this.nextLevelButton = document.getElementById('next-level-btn');
+        this.editorButton = document.getElementById('editor-btn');
+        this.editorResumeButton = document.getElementById('editor-resume-btn');
     }
 
     /**
      * Start a new game
+     * @param {Level} [level] - Level to play (the classic open board if omitted)
+     * @param {number} [campaignIndex] - Campaign position when the level is part of the campaign
+     * @param {number} [players] - Number of players (2 for a versus game on the open board)
+     * @param {Array} [rivals] - Difficulty of each computer rival (played on the open board)
+     * @returns {boolean} True if the game started
      */
-    start() {
-        this.resetGame();
+    start(level = null, campaignIndex = null, players = 1, rivals = []) {
+        this.stopGameLoop();
+        if (this.state === gameConfig.game.states.REPLAY) {
+            replayPlayer.unload();
+        }
+        
+        // Check the level against the settings it will be played with (e.g. starting length)
+        if (level) {
+            this.applySettings(storage.getSettings());
+            const validation = level.validate();
+            if (!validation.valid) {
+                console.warn('Level rejected:', validation.issues);
+                this.setLevel(null);
+                this.resetGame();
+                this.showMenu();
+                this.showOverlay('Level Unavailable', validation.issues.join(' • '));
+                return false;
+            }
+        }
+        
+        // A new game replaces any saved run
+        storage.clearSavedGame();
+        
+        this.engine.setPlayerCount(players);
+        this.engine.setRivals(rivals);
+        this.setLevel(level, campaignIndex);
+        this.resetGame(this.resolveSeed());
+        replayRecorder.start(this.engine.seed, level, players, this.engine.getRivalDifficulties());
+        if (this.controller && this.controller.reset) {
+            this.controller.reset(createObservation(this.engine));
+        }
         this.state = gameConfig.game.states.PLAYING;
         this.gameStartTime = Date.now();
+        
         this.hideOverlay();
         this.updateUI();
         this.startGameLoop();
-        
-        // Generate initial food
-        this.food.generateNewPosition(this.snake);
+        if (this.isScanning()) {
+            this.showToast('Press Enter or tap when the way you want to go lights up');
+        }
+        if (this.announcer) {
+            this.announcer.startGame(this.engine);
+        }
         
         console.log('Game started');
+        return true;
+    }
+
+    /**
+     * Start a two-player versus game (WASD against the arrow keys)
+     * @returns {boolean} True if the game started
+     */
+    startVersus() {
+        return this.start(null, null, 2);
+    }
+
+    /**
+     * Start a game against computer rivals, using the rival settings
+     * @returns {boolean} True if the game started
+     */
+    startCpuGame() {
+        const settings = storage.getSettings();
+        const count = utils.clamp(parseInt(settings.cpuRivals, 10) || 1, 1, 3);
+        return this.start(null, null, 1, new Array(count).fill(settings.cpuDifficulty));
+    }
+
+    /**
+     * Check if the current game is a versus game
+     * @returns {boolean} True with more than one snake (another player or computer rivals)
+     */
+    isVersus() {
+        return this.engine.isVersus();
+    }
+
+    /**
+     * Check if two players share the keyboard, each with their own keys
+     * @returns {boolean} True with more than one human player
+     */
+    isSplitKeyboard() {
+        return this.engine.playerCount > 1;
+    }
+
+    /**
+     * Get the display name of a snake's owner
+     * @param {number} index - Snake index
+     * @returns {string} Player name
+     */
+    getPlayerName(index) {
+        if (this.engine.isRival(index)) {
+            return this.engine.rivals.length > 1 ? `CPU ${index - this.engine.playerCount + 1}` : 'CPU';
+        }
+        return this.isSplitKeyboard() ? `Player ${index + 1}` : 'You';
+    }
+
+    /**
+     * Start the campaign at a level
+     * @param {number} [index] - Campaign level index (defaults to the first level not yet cleared)
+     * @returns {boolean} True if the level started
+     */
+    startCampaign(index = this.getCampaignResumeIndex()) {
+        const levelData = campaignLevels[index];
+        if (!levelData) return false;
+        
+        return this.start(new Level(levelData), index);
+    }
+
+    /**
+     * Start the campaign level after the one just cleared
+     * @returns {boolean} True if the next level started
+     */
+    nextLevel() {
+        if (this.state !== gameConfig.game.states.GAME_OVER || !this.hasNextLevel()) {
+            return false;
+        }
+        
+        return this.startCampaign(this.campaignIndex + 1);
+    }
+
+    /**
+     * Check if a cleared campaign level has a level after it
+     * @returns {boolean} True if the next level can be played
+     */
+    hasNextLevel() {
+        return this.engine.cleared && this.campaignIndex !== null && this.campaignIndex + 1 < campaignLevels.length;
+    }
+
+    /**
+     * Get the campaign level to resume from
+     * @returns {number} Index of the first uncleared level (the first level once all are cleared)
+     */
+    getCampaignResumeIndex() {
+        const progress = storage.getCampaignProgress();
+        return progress.cleared < campaignLevels.length ? progress.cleared : 0;
+    }
+
+    /**
+     * Record a cleared campaign level in storage
+     */
+    recordCampaignProgress() {
+        if (this.campaignIndex === null) return;
+        
+        const progress = storage.getCampaignProgress();
+        progress.cleared = Math.max(progress.cleared, this.campaignIndex + 1);
+        storage.setCampaignProgress(progress);
+    }
+
+    /**
+     * Set the level being played
+     * @param {Level|null} level - Level, or null for the classic open board
+     * @param {number|null} [campaignIndex] - Campaign position of the level
+     */
+    setLevel(level, campaignIndex = null) {
+        this.level = level;
+        this.campaignIndex = level ? campaignIndex : null;
+        this.engine.setLevel(level);
+        
+        // Levels bring their own board size; everything else plays on the classic board
+        if (!level) {
+            utils.setBoardSize(this.classicBoard.columns, this.classicBoard.rows);
+        }
+    }
+
+    /**
+     * Open the level editor on the canvas
+     */
+    openEditor() {
+        this.stopGameLoop();
+        if (this.state === gameConfig.game.states.REPLAY) {
+            replayPlayer.unload();
+        }
+        
+        this.state = gameConfig.game.states.EDITOR;
+        this.hideOverlay();
+        levelEditor.open();
+        this.updateUI();
+    }
+
+    /**
+     * Leave the level editor and return to the menu
+     */
+    closeEditor() {
+        if (this.state !== gameConfig.game.states.EDITOR) return;
+        
+        levelEditor.close();
+        this.setLevel(null);
+        this.resetGame();
+        this.showMenu();
+    }
+
+    /**
+     * Pick the seed for a new game: URL parameter, then settings, then a fresh one
+     * @returns {number} Seed for the next game
+     */
+    resolveSeed() {
+        const urlSeed = utils.getUrlParameter('seed');
+        if (urlSeed !== null && urlSeed !== '') {
+            return rng.normalizeSeed(urlSeed);
+        }
+        
+        const settings = storage.getSettings();
+        if (settings.seed !== null && settings.seed !== undefined && settings.seed !== '') {
+            return rng.normalizeSeed(settings.seed);
+        }
+        
+        return rng.generateSeed();
     }
 
     /**
      * Pause or resume game
      */
     togglePause() {
-        if (this.state === gameConfig.game.states.PLAYING) {
+        if (this.state === gameConfig.game.states.REPLAY) {
+            replayPlayer.togglePlay();
+        } else if (this.state === gameConfig.game.states.PLAYING) {
             this.pause();
         } else if (this.state === gameConfig.game.states.PAUSED) {
             this.resume();
@@ -106,6 +395,7 @@ class Game {
         this.state = gameConfig.game.states.PAUSED;
         this.paused = true;
         this.stopGameLoop();
+        this.saveProgress();
         this.showOverlay('Paused', 'Press SPACE to continue or R to restart');
         
         console.log('Game paused');
@@ -121,6 +411,7 @@ class Game {
         this.paused = false;
         this.hideOverlay();
         this.startGameLoop();
+        this.announce('Resumed', 'minimal');
         
         console.log('Game resumed');
     }
@@ -130,32 +421,63 @@ class Game {
      */
     restart() {
         this.stopGameLoop();
-        this.start();
+        this.start(this.level, this.campaignIndex, this.engine.playerCount, this.engine.getRivalDifficulties());
     }
 
     /**
      * End the game
      */
     gameOver() {
+        // A replayed game ending is just the end of playback
+        if (this.state === gameConfig.game.states.REPLAY) {
+            replayPlayer.finish();
+            return;
+        }
+        
         this.state = gameConfig.game.states.GAME_OVER;
         this.gameEndTime = Date.now();
         this.stopGameLoop();
+        this.playSound(this.engine.cleared ? 'special' : 'gameOver');
+        
+        // A finished run can no longer be continued
+        storage.clearSavedGame();
+        
+        // Keep the replay of this run
+        this.lastReplay = replayRecorder.finish(this.getStats());
+        if (this.lastReplay) {
+            storage.saveReplay(this.lastReplay);
+        }
+        
+        // Versus rounds are settled between the players and stay off the high score tables
+        if (this.isVersus()) {
+            this.showVersusResult();
+            this.updateUI();
+            console.log('Versus game over. Winner:', this.engine.winner);
+            return;
+        }
         
         // Check for new high score
-        const isNewHighScore = storage.setHighScore(this.score);
+        const score = this.engine.score;
+        const isNewHighScore = storage.setHighScore(score, this.getHighScoreTable());
         if (isNewHighScore) {
-            this.highScore = this.score;
-            this.showOverlay('New High Score!', `Score: ${this.score} • Press R to restart`);
-            console.log('New high score:', this.score);
+            this.highScore = score;
+        }
+        
+        if (this.engine.cleared) {
+            this.recordCampaignProgress();
+            this.showLevelComplete(score);
+        } else if (isNewHighScore) {
+            this.showOverlay('New High Score!', `Score: ${score} • Seed: ${this.engine.seed} • Press R to restart`);
+            console.log('New high score:', score);
         } else {
-            this.showOverlay('Game Over', `Score: ${this.score} • Press R to restart`);
+            this.showOverlay('Game Over', `Score: ${score} • Seed: ${this.engine.seed} • Press R to restart`);
         }
         
         this.updateUI();
         
         // Add game over effect
-        if (renderer.isInitialized()) {
-            renderer.addEffect('game_over', {
+        if (this.canRender() && !this.engine.cleared) {
+            this.renderer.addEffect('game_over', {
                 x: gameConfig.board.width / 2,
                 y: gameConfig.board.height / 2,
                 duration: 2000,
@@ -163,34 +485,388 @@ class Game {
             });
         }
         
-        console.log('Game over. Score:', this.score);
+        console.log('Game over. Score:', score);
+    }
+
+    /**
+     * Describe the outcome of a versus game
+     * @returns {Object} Result title (winner or draw) and score line
+     */
+    getVersusResult() {
+        const winner = this.engine.winner;
+        let title = 'Draw!';
+        if (winner !== null) {
+            const name = this.getPlayerName(winner);
+            title = name === 'You' ? 'You Win!' : `${name} Wins!`;
+        }
+        
+        return {
+            title: title,
+            scoreText: this.engine.scores.map((score, index) => `${this.getPlayerName(index)}: ${score}`).join(' • ')
+        };
+    }
+
+    /**
+     * Show the winner (or a draw) of a versus game
+     */
+    showVersusResult() {
+        const result = this.getVersusResult();
+        this.showOverlay(result.title, `${result.scoreText} • Press R for a rematch`);
+    }
+
+    /**
+     * Show the overlay for a cleared level
+     * @param {number} score - Final score
+     */
+    showLevelComplete(score) {
+        if (this.hasNextLevel()) {
+            this.showOverlay('Level Complete!', `${this.level.name} cleared • Score: ${score} • Press N for the next level`);
+        } else if (this.campaignIndex !== null) {
+            this.showOverlay('Campaign Complete!', `You cleared all ${campaignLevels.length} levels • Score: ${score}`);
+        } else {
+            this.showOverlay('Level Complete!', `${this.level.name} cleared • Score: ${score} • Press R to play again`);
+        }
+        
+        console.log('Level cleared:', this.level.id);
+    }
+
+    /**
+     * Build a snapshot of the in-progress game for saving
+     * @returns {Object} Game snapshot
+     */
+    createSnapshot() {
+        return {
+            version: SAVE_VERSION,
+            savedAt: Date.now(),
+            seed: this.engine.seed,
+            config: utils.snapshotConfig(),
+            simulation: this.engine.getState(),
+            level: this.level ? this.level.toJSON() : null,
+            campaignIndex: this.campaignIndex,
+            playTime: Date.now() - this.gameStartTime,
+            replay: replayRecorder.replay
+        };
+    }
+
+    /**
+     * Write the in-progress game to storage
+     */
+    saveProgress() {
+        if (this.state !== gameConfig.game.states.PLAYING &&
+            this.state !== gameConfig.game.states.PAUSED) {
+            return;
+        }
+        
+        storage.setSavedGame(this.createSnapshot());
+    }
+
+    /**
+     * Check a saved snapshot before restoring it
+     * @param {Object} snapshot - Game snapshot
+     * @returns {Object} Validation result
+     */
+    validateSnapshot(snapshot) {
+        const issues = [];
+        
+        if (!snapshot || typeof snapshot !== 'object') {
+            return { valid: false, issues: ['No saved game'] };
+        }
+        
+        if (snapshot.version !== SAVE_VERSION) {
+            issues.push(`Unsupported save version: ${snapshot.version}`);
+            return { valid: false, issues: issues };
+        }
+        
+        // Saves from a different board size can't be restored faithfully; levels bring their own size
+        const size = snapshot.level ? new Level(snapshot.level) : this.classicBoard;
+        const board = {
+            width: size.columns * gameConfig.board.cellSize,
+            height: size.rows * gameConfig.board.cellSize,
+            cellSize: gameConfig.board.cellSize
+        };
+        if (!snapshot.config || !snapshot.config.board || !snapshot.config.snake ||
+            ['width', 'height', 'cellSize'].some(key => snapshot.config.board[key] !== board[key])) {
+            issues.push('Board configuration has changed since this save');
+        }
+        
+        if (snapshot.level && !Array.isArray(snapshot.level.walls)) {
+            issues.push('Invalid level');
+        }
+        
+        // Saves from before versus mode hold a single snake and score
+        const simulation = snapshot.simulation;
+        const snakes = simulation && (simulation.snakes || (simulation.snake ? [simulation.snake] : null));
+        if (!simulation || !Array.isArray(snakes) || snakes.length === 0 || !(simulation.foods || simulation.food) ||
+            !simulation.rng) {
+            issues.push('Incomplete simulation state');
+            return { valid: false, issues: issues };
+        }
+        
+        // Crashed snakes may have been poisoned down to nothing
+        for (const [index, snake] of snakes.entries()) {
+            const body = snake && snake.body;
+            const crashed = Array.isArray(simulation.alive) && simulation.alive[index] === false;
+            if (!Array.isArray(body) || (body.length === 0 && !crashed) ||
+                !body.every(segment => segment && Number.isInteger(segment.x) && Number.isInteger(segment.y))) {
+                issues.push('Invalid snake body');
+                break;
+            }
+        }
+        
+        const scores = simulation.scores || [simulation.score];
+        if (scores.length !== snakes.length || !scores.every(score => typeof score === 'number')) {
+            issues.push('Invalid score');
+        }
+        
+        const numericFields = ['speed', 'tickCount', 'elapsedTime'];
+        for (const field of numericFields) {
+            if (typeof simulation[field] !== 'number') {
+                issues.push(`Invalid ${field}`);
+            }
+        }
+        if (simulation.effects !== undefined && !Array.isArray(simulation.effects)) {
+            issues.push('Invalid effects');
+        }
+        
+        if (typeof snapshot.seed !== 'number' || typeof snapshot.playTime !== 'number') {
+            issues.push('Invalid seed or play time');
+        }
+        
+        return {
+            valid: issues.length === 0,
+            issues: issues
+        };
+    }
+
+    /**
+     * Restore the saved in-progress game, paused and ready to resume
+     * @returns {boolean} True if the game was restored
+     */
+    continueGame() {
+        const snapshot = storage.getSavedGame();
+        const validation = this.validateSnapshot(snapshot);
+        
+        if (validation.valid) {
+            this.stopGameLoop();
+            this.setLevel(snapshot.level ? new Level(snapshot.level) : null,
+                          typeof snapshot.campaignIndex === 'number' ? snapshot.campaignIndex : null);
+            this.resetGame();
+            
+            // The run keeps the difficulty and board mode it was started with, even if settings
+            // changed since; saves from before portal walls always had solid walls
+            utils.applyConfig({
+                ...snapshot.config,
+                board: { wrap: false, ...snapshot.config.board }
+            });
+            this.loadHighScore();
+            this.engine.setState(snapshot.simulation);
+            
+            // Catch states that parse but can't be played (e.g. segments off the board)
+            const engineValidation = this.engine.validate();
+            if (!engineValidation.valid) {
+                validation.valid = false;
+                validation.issues.push(...engineValidation.issues);
+            }
+        }
+        
+        if (!validation.valid) {
+            console.warn('Saved game rejected:', validation.issues);
+            storage.clearSavedGame();
+            this.setLevel(null);
+            this.resetGame();
+            this.showMenu();
+            this.showOverlay('Save Discarded', 'The saved game could not be restored • Press Start for a new game');
+            return false;
+        }
+        
+        this.gameStartTime = Date.now() - snapshot.playTime;
+        if (snapshot.replay && replayPlayer.validate(snapshot.replay).valid) {
+            replayRecorder.resume(snapshot.replay);
+        } else {
+            replayRecorder.cancel();
+        }
+        
+        this.state = gameConfig.game.states.PAUSED;
+        this.paused = true;
+        this.showOverlay('Game Restored', 'Press SPACE to continue or R to restart');
+        this.updateUI();
+        this.render();
+        
+        console.log('Saved game restored');
+        return true;
+    }
+
+    /**
+     * Play back a recorded game on the canvas
+     * @param {Object} replay - Replay data
+     * @returns {boolean} True if playback started
+     */
+    watchReplay(replay) {
+        this.stopGameLoop();
+        replayRecorder.cancel();
+        if (this.state === gameConfig.game.states.REPLAY) {
+            replayPlayer.unload();
+        }
+        
+        if (!replayPlayer.load(replay)) {
+            this.showOverlay('Invalid Replay', 'This replay could not be loaded');
+            return false;
+        }
+        
+        // Enter replay state first so resetGame keeps the replay's config
+        this.state = gameConfig.game.states.REPLAY;
+        this.engine.setPlayerCount(replay.players || 1);
+        this.engine.setRivals(replay.rivals || []);
+        this.setLevel(replay.level ? new Level(replay.level) : null);
+        this.resetGame(replay.seed);
+        this.loadHighScore();
+        replayPlayer.captureKeyframe();
+        
+        this.hideOverlay();
+        this.updateUI();
+        this.startGameLoop();
+        
+        console.log('Replay started. Seed:', replay.seed);
+        return true;
+    }
+
+    /**
+     * Watch the most recently finished game
+     */
+    watchLastReplay() {
+        const replay = this.lastReplay || storage.getReplays().last;
+        if (replay) {
+            this.watchReplay(replay);
+        }
+    }
+
+    /**
+     * Watch the best-scoring recorded game
+     */
+    watchBestReplay() {
+        const replay = storage.getReplays().best;
+        if (replay) {
+            this.watchReplay(replay);
+        }
+    }
+
+    /**
+     * Leave replay playback and return to the menu
+     */
+    stopReplay() {
+        if (this.state !== gameConfig.game.states.REPLAY) return;
+        
+        this.stopGameLoop();
+        replayPlayer.unload();
+        this.engine.setPlayerCount(1);
+        this.engine.setRivals([]);
+        this.setLevel(null);
+        this.resetGame();
+        this.showMenu();
     }
 
     /**
      * Reset game to initial state
+     * @param {number} [seed] - Seed for the new run (a fresh one if omitted)
      */
-    resetGame() {
-        this.snake.reset();
-        this.food.active = false;
-        this.score = 0;
-        this.speed = gameConfig.snake.speed;
+    resetGame(seed) {
+        // Replays run with their recorded config instead of the player's settings
+        if (this.state !== gameConfig.game.states.REPLAY) {
+            this.applySettings(storage.getSettings());
+            this.loadHighScore();
+        }
+        
+        this.engine.reset(seed);
+        this.scanner.reset();
         this.paused = false;
-        this.lastUpdateTime = 0;
+        this.accumulator = 0;
+        this.lastFrameTime = null;
         
         // Clear any effects
-        if (renderer.isInitialized()) {
-            renderer.effects = [];
+        if (this.canRender()) {
+            this.renderer.effects = [];
         }
     }
 
+    /**
+     * Apply player settings to the game configuration
+     * @param {Object} settings - Settings from storage
+     */
+    applySettings(settings) {
+        const difficulty = difficultyLevels[settings.difficulty] || difficultyLevels.medium;
+        const ramp = speedRampCurves[settings.speedRamp] || speedRampCurves.standard;
+        const startingLength = parseInt(settings.startingLength, 10);
+        
+        gameConfig.snake.speed = difficulty.speed;
+        gameConfig.snake.minSpeed = difficulty.minSpeed;
+        gameConfig.snake.speedRamp = {
+            pointsPerStep: ramp.pointsPerStep,
+            reductionPerStep: ramp.reductionPerStep
+        };
+        gameConfig.snake.initialLength = utils.clamp(Number.isNaN(startingLength) ? 3 : startingLength, 2, 10);
+        gameConfig.board.wrap = (boardModes[settings.boardMode] || boardModes.walls).wrap;
+        gameConfig.game.enableSounds = settings.soundEnabled !== false;
+        gameConfig.game.smoothMovement = settings.smoothMovement !== false;
+        gameConfig.game.announcements = announcerVerbosity[settings.announcements] ? settings.announcements : 'standard';
+        gameConfig.controls.scheme = controlSchemes[settings.controlScheme] ? settings.controlScheme : 'absolute';
+        const scanInterval = parseInt(settings.scanInterval, 10);
+        gameConfig.controls.scanInterval = utils.clamp(Number.isNaN(scanInterval) ? 1000 : scanInterval, 300, 5000);
+    }
+
+    /**
+     * Get the high score table for the current game: one per board mode, and one per level
+     * @returns {string} High score table name
+     */
+    getHighScoreTable() {
+        const mode = utils.getBoardMode();
+        return this.level ? `${mode}_${this.level.id}` : mode;
+    }
+
+    /**
+     * Load the high score table for the current game
+     */
+    loadHighScore() {
+        this.highScore = storage.getHighScore(this.getHighScoreTable());
+    }
+
     /**
      * Change snake direction
      * @param {Object} direction - New direction
+     * @param {number} [player] - Index of the player steering (versus games)
      */
-    changeDirection(direction) {
+    changeDirection(direction, player = 0) {
         if (this.state === gameConfig.game.states.PLAYING && !this.paused) {
-            this.snake.changeDirection(direction);
+            // Only queued turns need recording; reversals, repeats and turns past a full buffer change nothing
+            if (this.engine.changeDirection(direction, player)) {
+                replayRecorder.recordDirection(this.engine.tickCount, direction, player);
+            }
+        }
+    }
+
+    /**
+     * Turn a snake a quarter turn from the way it is heading (relative steering)
+     * Turns follow any already queued, so two quick lefts make a U-turn over two moves.
+     * @param {string} turn - 'left' or 'right'
+     * @param {number} [player] - Index of the player steering (versus games)
+     */
+    turn(turn, player = 0) {
+        const snake = this.engine.snakes[player];
+        if (snake) {
+            this.changeDirection(utils.rotateDirection(snake.getLastQueuedDirection(), turn), player);
+        }
+    }
+
+    /**
+     * Let a bot steer player 1 from the next tick (see bots.js for the controller interface)
+     * @param {Object|null} controller - Controller, or null to hand control back to the player
+     */
+    setController(controller) {
+        this.controller = controller;
+        if (controller && controller.reset && this.isPlaying()) {
+            controller.reset(createObservation(this.engine));
         }
+        
+        console.log(controller ? 'Autopilot on' : 'Autopilot off');
     }
 
     /**
@@ -201,8 +877,15 @@ class Game {
             this.stopGameLoop();
         }
         
-        this.lastUpdateTime = Date.now();
-        this.gameLoop();
+        // The game loop takes over controller polling
+        if (this.gamepadPollId) {
+            cancelAnimationFrame(this.gamepadPollId);
+            this.gamepadPollId = null;
+        }
+        
+        // Time spent paused or in menus must not be simulated
+        this.lastFrameTime = null;
+        this.gameLoopId = requestAnimationFrame((timestamp) => this.gameLoop(timestamp));
     }
 
     /**
@@ -213,83 +896,192 @@ class Game {
             cancelAnimationFrame(this.gameLoopId);
             this.gameLoopId = null;
         }
+        this.startGamepadPolling();
     }
 
     /**
-     * Main game loop
+     * Keep polling controllers while the game loop is stopped (menus, pause, game over)
      */
-    gameLoop() {
-        const currentTime = Date.now();
+    startGamepadPolling() {
+        if (this.gamepadPollId || this.gameLoopId || !this.input || !this.input.gamepads.hasGamepads()) {
+            return;
+        }
+        this.gamepadPollId = requestAnimationFrame(() => this.pollGamepadsWhileStopped());
+    }
+
+    /**
+     * Poll controllers for one frame of the stopped game, continuing while any is connected
+     */
+    pollGamepadsWhileStopped() {
+        this.gamepadPollId = null;
+        if (this.gameLoopId) {
+            return; // the game loop polls while it runs
+        }
         
+        this.input.pollGamepads();
+        this.startGamepadPolling();
+    }
+
+    /**
+     * Main game loop
+     * Accumulates real frame time and advances the simulation in fixed
+     * ticks of `engine.speed` milliseconds; rendering only reads the result.
+     * @param {number} timestamp - Frame timestamp from requestAnimationFrame
+     */
+    gameLoop(timestamp) {
         // Update performance counter
-        performance.updateFPS(currentTime);
+        performance.updateFPS(timestamp);
+        
+        if (this.lastFrameTime === null) {
+            this.lastFrameTime = timestamp;
+        }
+        
+        // Controllers are polled once per frame; a button that paused or restarted the game ends this frame
+        if (this.input) {
+            const loopId = this.gameLoopId;
+            this.input.pollGamepads();
+            if (this.gameLoopId !== loopId) {
+                return;
+            }
+        }
+        
+        // Clamp long frames (e.g. background tabs) so we never try to catch up on seconds of play
+        const frameTime = Math.min(timestamp - this.lastFrameTime, gameConfig.game.maxFrameTime);
+        this.lastFrameTime = timestamp;
         
-        // Update game state
-        if (currentTime - this.lastUpdateTime >= this.speed) {
+        // One-switch play moves only when a direction is chosen (or the scan runs out), not on the clock
+        if (this.isScanning()) {
+            this.updateScan(frameTime);
+        } else if (this.isAdvancing()) {
+            const playbackRate = this.state === gameConfig.game.states.REPLAY ? replayPlayer.playbackSpeed : 1;
+            this.accumulator += frameTime * playbackRate;
+        }
+        
+        // Run as many fixed ticks as the accumulated time allows
+        while (this.accumulator >= this.engine.speed && this.isAdvancing()) {
+            this.accumulator -= this.engine.speed;
             this.update();
-            this.lastUpdateTime = currentTime;
         }
         
         // Render game
         this.render();
         
-        // Continue loop if game is running
-        if (this.state === gameConfig.game.states.PLAYING && !this.paused) {
-            this.gameLoopId = requestAnimationFrame(() => this.gameLoop());
+        // Continue loop if game is running; replays keep rendering while paused for seeking
+        if (this.isPlaying() || this.state === gameConfig.game.states.REPLAY) {
+            this.gameLoopId = requestAnimationFrame((nextTimestamp) => this.gameLoop(nextTimestamp));
+        } else {
+            this.gameLoopId = null;
+            this.startGamepadPolling();
+        }
+    }
+
+    /**
+     * Check if player 1 is steering with the one-switch scanning scheme
+     * @returns {boolean} True while a scanned game is being played (replays and bots never scan)
+     */
+    isScanning() {
+        return gameConfig.controls.scheme === 'scanning' && this.isPlaying() && !this.controller;
+    }
+
+    /**
+     * Run the direction scan for one frame, moving on if it ran out with straight on safe
+     * @param {number} frameTime - Milliseconds since the last frame
+     */
+    updateScan(frameTime) {
+        if (!this.scanner.isWaiting()) {
+            this.scanner.begin(this.engine);
+        }
+        
+        const direction = this.scanner.advance(frameTime);
+        if (direction) {
+            this.commitScan(direction);
+        }
+    }
+
+    /**
+     * Take a press of the single switch: choose the highlighted direction, or start or resume the game
+     */
+    pressSwitch() {
+        const states = gameConfig.game.states;
+        if (this.state === states.MENU || this.state === states.GAME_OVER) {
+            this.restart();
+        } else if (this.state === states.PAUSED) {
+            this.resume();
+        } else if (this.isScanning()) {
+            const direction = this.scanner.select();
+            if (direction) {
+                this.commitScan(direction);
+            }
         }
     }
 
     /**
-     * Update game state
+     * Steer the scanned way and make the move
+     * @param {Object} direction - Direction chosen
+     */
+    commitScan(direction) {
+        this.changeDirection(direction);
+        this.update();
+        this.render();
+    }
+
+    /**
+     * Advance the simulation by exactly one tick
      */
     update() {
-        if (this.state !== gameConfig.game.states.PLAYING || this.paused) {
+        const replaying = this.state === gameConfig.game.states.REPLAY;
+        if (!this.isPlaying() && !replaying) {
             return;
         }
         
-        // Move snake
-        this.snake.move();
+        // Recorded direction changes are fed in at the tick they were made
+        if (replaying) {
+            replayPlayer.applyInputs(this.engine.tickCount, this.engine.snakes);
+        } else if (this.controller) {
+            // Bot moves go through changeDirection so they are recorded like key presses
+            const direction = resolveDirection(this.controller.decide(createObservation(this.engine)));
+            if (direction) {
+                this.changeDirection(direction);
+            }
+        }
         
-        // Check collisions
-        const collisions = collisionDetector.checkAllCollisions(this.snake, this.food);
+        const result = this.engine.step();
         
-        // Handle food collision
-        if (collisions.food.detected) {
-            this.handleFoodCollision(collisions.food);
+        for (const meal of result.meals) {
+            this.handleFoodCollision(meal.food, meal.points);
         }
+        this.updateEffectsDisplay();
         
         // Handle game-ending collisions
-        if (collisions.gameEnding) {
+        if (result.gameOver) {
             this.gameOver();
             return;
         }
         
-        // Update food
-        this.food.update(this.score);
-        
-        // Increase speed gradually
-        this.updateGameSpeed();
+        if (replaying) {
+            replayPlayer.onTick();
+        } else if (this.announcer) {
+            this.announcer.describeTick(this.engine, result, index => this.getPlayerName(index));
+        }
     }
 
     /**
-     * Handle food collision
+     * Present a food collision the engine has already applied
      * @param {Object} foodCollision - Food collision data
+     * @param {number} points - Points scored
      */
-    handleFoodCollision(foodCollision) {
-        // Consume food and get points
-        const points = this.food.consume();
-        this.score += points;
-        
-        // Grow snake
-        this.snake.grow();
+    handleFoodCollision(foodCollision, points) {
+        // Seeking a replay only needs the simulation, not the presentation
+        if (this.fastForwarding) {
+            return;
+        }
         
-        // Generate new food
-        this.food.generateNewPosition(this.snake);
+        this.playSound(foodCollision.specialEffect ? 'special' : 'eat');
         
         // Add visual effects
-        if (renderer.isInitialized()) {
+        if (this.canRender()) {
             const foodPos = utils.gridToPixel(foodCollision.foodPosition);
-            renderer.addEffect('food_eaten', {
+            this.renderer.addEffect('food_eaten', {
                 x: foodPos.x + gameConfig.board.cellSize / 2,
                 y: foodPos.y + gameConfig.board.cellSize / 2,
                 size: gameConfig.board.cellSize / 2,
@@ -297,7 +1089,7 @@ class Game {
                 duration: 500
             });
             
-            renderer.addEffect('score_popup', {
+            this.renderer.addEffect('score_popup', {
                 x: foodPos.x + gameConfig.board.cellSize / 2,
                 y: foodPos.y,
                 points: points,
@@ -307,70 +1099,104 @@ class Game {
             });
         }
         
-        // Handle special effects
-        if (foodCollision.specialEffect) {
-            this.handleSpecialEffect(foodCollision.specialEffect);
+        if (foodCollision.specialEffect && powerUps[foodCollision.specialEffect.type]) {
+            console.log(`${powerUps[foodCollision.specialEffect.type].label} power-up!`);
         }
         
         this.updateUI();
         
-        console.log(`Food eaten! Score: ${this.score}, Points: ${points}`);
+        console.log(`Food eaten! Scores: ${this.engine.scores.join(' / ')}, Points: ${points}`);
     }
 
     /**
-     * Handle special food effects
-     * @param {Object} effect - Special effect data
+     * Announce a message to screen readers through the announcer adapter
+     * @param {string} message - Message
+     * @param {string} [level] - Verbosity level it belongs to (key into announcerVerbosity)
      */
-    handleSpecialEffect(effect) {
-        switch (effect.type) {
-            case 'speed':
-                // Temporarily increase game speed
-                const originalSpeed = this.speed;
-                this.speed = Math.max(50, this.speed - 50);
-                setTimeout(() => {
-                    this.speed = originalSpeed;
-                }, effect.duration);
-                console.log('Speed boost activated!');
-                break;
+    announce(message, level) {
+        if (this.announcer && !this.fastForwarding) {
+            this.announcer.announce(message, level);
         }
     }
 
     /**
-     * Update game speed based on score
+     * Play a sound effect through the audio adapter
+     * @param {string} name - Sound name
      */
-    updateGameSpeed() {
-        // Increase speed every 100 points, but cap the improvement
-        const speedReduction = Math.floor(this.score / 100) * 5;
-        this.speed = Math.max(75, gameConfig.snake.speed - speedReduction);
+    playSound(name) {
+        if (this.audio && !this.fastForwarding) {
+            this.audio.play(name);
+        }
     }
 
     /**
      * Render the game
      */
     render() {
-        if (!renderer.isInitialized()) {
+        if (!this.canRender()) {
+            return;
+        }
+        
+        // The editor draws the level being designed instead of the game
+        if (this.state === gameConfig.game.states.EDITOR) {
+            levelEditor.render();
             return;
         }
         
         // Clear canvas
-        renderer.clear();
+        this.renderer.clear();
         
         // Render game board
-        renderer.renderBoard();
+        this.renderer.renderBoard(this.engine.level);
         
-        // Render game objects
-        renderer.renderSnake(this.snake);
-        renderer.renderFood(this.food);
+        // Render game objects; versus snakes each get their own colors and crashed rivals leave the board.
+        // Smooth movement slides live snakes part of the way to their next cell; crashed ones have stopped.
+        const progress = gameConfig.game.smoothMovement ? this.getTickProgress() : null;
+        this.engine.snakes.forEach((snake, index) => {
+            if (this.engine.alive[index] || !this.engine.isRival(index)) {
+                const colors = this.isVersus() ? gameConfig.snake.playerColors[index] : gameConfig.snake;
+                this.renderer.renderSnake(snake, colors, progress !== null && !this.engine.alive[index] ? 1 : progress);
+            }
+        });
+        this.engine.foods.getItems().forEach(food => this.renderer.renderFood(food));
+        if (this.isScanning()) {
+            this.renderer.renderScan(this.scanner.getCandidates(), this.scanner.getHighlighted());
+        }
         
         // Render effects
-        renderer.renderEffects();
+        this.renderer.renderEffects();
         
         // Render overlay if needed
         if (this.state === gameConfig.game.states.PAUSED) {
-            renderer.renderOverlay('paused');
+            this.renderer.renderOverlay('paused');
         } else if (this.state === gameConfig.game.states.GAME_OVER) {
-            renderer.renderOverlay('gameOver', { score: this.score });
+            const summary = this.isVersus() ? this.getVersusResult() : { score: this.engine.score };
+            this.renderer.renderOverlay('gameOver', summary);
+        }
+    }
+
+    /**
+     * Get how far the game is through the current tick, for drawing snakes between cells
+     * Read from the loop's accumulator, so it holds still while paused and follows speed boosts.
+     * @returns {number} Fraction from 0 (just moved) to 1 (about to move again)
+     */
+    getTickProgress() {
+        const states = gameConfig.game.states;
+        const running = [states.PLAYING, states.PAUSED, states.REPLAY].includes(this.state);
+        
+        // Scanned games move on a press rather than the clock, so they are always drawn where they are
+        if (!running || (gameConfig.controls.scheme === 'scanning' && this.state !== states.REPLAY && !this.controller)) {
+            return 1;
         }
+        return utils.clamp(this.accumulator / this.engine.speed, 0, 1);
+    }
+
+    /**
+     * Check if a renderer is attached and ready
+     * @returns {boolean} True if the game can draw
+     */
+    canRender() {
+        return this.renderer !== null && this.renderer.isInitialized();
     }
 
     /**
@@ -378,27 +1204,126 @@ class Game {
      */
     updateUI() {
         if (this.scoreElement) {
-            this.scoreElement.textContent = this.score;
+            this.scoreElement.textContent = this.engine.score;
             this.scoreElement.classList.add('score-animate');
             setTimeout(() => {
                 this.scoreElement.classList.remove('score-animate');
             }, 300);
         }
         
+        // Versus games show both sides' scores instead of the high score (the best rival against the CPU)
+        const versus = this.isVersus();
+        const againstCpu = versus && !this.isSplitKeyboard();
+        if (this.scoreLabel) {
+            this.scoreLabel.textContent = versus ? `${againstCpu ? 'You' : 'P1'}:` : 'Score:';
+        }
+        if (this.player2ScoreDisplay) {
+            this.player2ScoreDisplay.style.display = versus ? '' : 'none';
+        }
+        if (this.player2ScoreLabel) {
+            this.player2ScoreLabel.textContent = againstCpu ? 'CPU:' : 'P2:';
+        }
+        if (this.player2ScoreElement && versus) {
+            this.player2ScoreElement.textContent = Math.max(...this.engine.scores.slice(1));
+        }
+        if (this.highScoreDisplay) {
+            this.highScoreDisplay.style.display = versus ? 'none' : '';
+        }
+        
         if (this.highScoreElement) {
             this.highScoreElement.textContent = this.highScore;
         }
+        if (this.highScoreLabel) {
+            if (this.level) {
+                this.highScoreLabel.textContent = 'Level Best:';
+            } else {
+                this.highScoreLabel.textContent = gameConfig.board.wrap ? 'Portal High Score:' : 'High Score:';
+            }
+        }
+        
+        if (this.levelElement) {
+            this.levelElement.style.display = this.level ? '' : 'none';
+            this.levelElement.textContent = this.level ? `${this.level.name} • ${this.level.describeGoal()}` : '';
+        }
+        
+        this.updateEffectsDisplay();
         
         // Update button states
         this.updateButtonStates();
     }
 
+    /**
+     * Show the human players' running power-ups with the game time they have left
+     */
+    updateEffectsDisplay() {
+        if (!this.effectsElement) return;
+        
+        const parts = [];
+        for (let player = 0; player < this.engine.playerCount; player++) {
+            for (const effect of this.engine.effects.getActive(player)) {
+                const powerUp = powerUps[effect.type];
+                const left = powerUp.stacking === 'charges' ? `×${effect.charges}` : `${(effect.remaining / 1000).toFixed(1)}s`;
+                const owner = this.isSplitKeyboard() ? `P${player + 1} ` : '';
+                parts.push(`${owner}${powerUp.symbol} ${powerUp.label} ${left}`);
+            }
+        }
+        
+        // Rewritten every tick, so only touch the DOM when the text changes
+        const text = parts.join(' • ');
+        if (this.effectsElement.textContent !== text) {
+            this.effectsElement.textContent = text;
+        }
+    }
+
     /**
      * Update button states based on game state
      */
     updateButtonStates() {
         if (!this.startButton || !this.pauseButton || !this.restartButton) return;
         
+        // Replay buttons are offered from the menu and after a game
+        const showReplayButtons = this.state === gameConfig.game.states.MENU ||
+                                  this.state === gameConfig.game.states.GAME_OVER;
+        const replays = storage.getReplays();
+        if (this.continueButton) {
+            const canContinue = this.state === gameConfig.game.states.MENU && storage.hasSavedGame();
+            this.continueButton.style.display = canContinue ? 'inline-block' : 'none';
+        }
+        if (this.replayButton) {
+            this.replayButton.style.display = showReplayButtons && (this.lastReplay || replays.last) ? 'inline-block' : 'none';
+        }
+        if (this.bestReplayButton) {
+            this.bestReplayButton.style.display = showReplayButtons && replays.best ? 'inline-block' : 'none';
+        }
+        if (this.importReplayButton) {
+            this.importReplayButton.style.display = showReplayButtons ? 'inline-block' : 'none';
+        }
+        if (this.settingsButton) {
+            this.settingsButton.style.display = showReplayButtons ? 'inline-block' : 'none';
+        }
+        if (this.controlsButton) {
+            this.controlsButton.style.display = showReplayButtons ? 'inline-block' : 'none';
+        }
+        if (this.campaignButton) {
+            this.campaignButton.style.display = showReplayButtons ? 'inline-block' : 'none';
+        }
+        if (this.versusButton) {
+            this.versusButton.style.display = showReplayButtons ? 'inline-block' : 'none';
+        }
+        if (this.cpuButton) {
+            this.cpuButton.style.display = showReplayButtons ? 'inline-block' : 'none';
+        }
+        if (this.editorButton) {
+            this.editorButton.style.display = showReplayButtons ? 'inline-block' : 'none';
+        }
+        if (this.editorResumeButton) {
+            this.editorResumeButton.style.display = this.state === gameConfig.game.states.EDITOR ? 'inline-block' : 'none';
+        }
+        if (this.nextLevelButton) {
+            const canAdvance = this.state === gameConfig.game.states.GAME_OVER && this.hasNextLevel();
+            this.nextLevelButton.style.display = canAdvance ? 'inline-block' : 'none';
+        }
+        
         switch (this.state) {
             case gameConfig.game.states.MENU:
                 this.startButton.style.display = 'inline-block';
@@ -418,10 +1343,17 @@ class Game {
                 this.restartButton.style.display = 'inline-block';
                 break;
             case gameConfig.game.states.GAME_OVER:
-                this.startButton.style.display = 'none';
+                // After a level or a versus game, Start Game goes back to the classic single-player board
+                this.startButton.style.display = this.level || this.isVersus() ? 'inline-block' : 'none';
                 this.pauseButton.style.display = 'none';
                 this.restartButton.style.display = 'inline-block';
                 break;
+            case gameConfig.game.states.REPLAY:
+            case gameConfig.game.states.EDITOR:
+                this.startButton.style.display = 'none';
+                this.pauseButton.style.display = 'none';
+                this.restartButton.style.display = 'none';
+                break;
         }
     }
 
@@ -440,6 +1372,70 @@ class Game {
         if (this.overlayMessage) {
             this.overlayMessage.textContent = message;
         }
+        
+        this.announce(message ? `${title}. ${message}` : title, 'minimal');
+        this.focusOverlay();
+    }
+
+    /**
+     * Put keyboard focus on the first control showing in the overlay
+     * Deferred, so the button states set after the overlay opens have settled.
+     */
+    focusOverlay() {
+        setTimeout(() => {
+            const [first] = this.getOverlayFocusables();
+            if (first && this.overlayElement.classList.contains('show')) {
+                first.focus();
+            }
+        }, 0);
+    }
+
+    /**
+     * Get the overlay controls keyboard users can reach, in tab order
+     * @returns {Array} Visible, enabled buttons and form fields
+     */
+    getOverlayFocusables() {
+        if (!this.overlayElement) {
+            return [];
+        }
+        return Array.from(this.overlayElement.querySelectorAll('button, select, input'))
+            .filter(element => element.offsetParent !== null && !element.disabled);
+    }
+
+    /**
+     * Wrap Tab and Shift+Tab around the overlay's controls while it is showing
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    trapOverlayFocus(event) {
+        if (event.key !== 'Tab' || !this.overlayElement || !this.overlayElement.classList.contains('show')) {
+            return;
+        }
+        
+        const focusables = this.getOverlayFocusables();
+        if (focusables.length === 0) {
+            return;
+        }
+        
+        const first = focusables[0];
+        const last = focusables[focusables.length - 1];
+        const current = document.activeElement;
+        if (!focusables.includes(current) || (event.shiftKey && current === first) || (!event.shiftKey && current === last)) {
+            event.preventDefault();
+            (event.shiftKey ? last : first).focus();
+        }
+    }
+
+    /**
+     * Show a short notice that fades by itself
+     * @param {string} message - Notice text
+     */
+    showToast(message) {
+        if (!this.toastElement) return;
+        
+        this.toastElement.textContent = message;
+        this.toastElement.classList.add('show');
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => this.toastElement.classList.remove('show'), gameConfig.game.toastDuration);
     }
 
     /**
@@ -448,6 +1444,11 @@ class Game {
     hideOverlay() {
         if (this.overlayElement) {
             this.overlayElement.classList.remove('show');
+            
+            // Don't leave keyboard focus on a hidden button; hand it to the board
+            if (this.canvasElement && this.overlayElement.contains(document.activeElement)) {
+                this.canvasElement.focus();
+            }
         }
     }
 
@@ -456,7 +1457,14 @@ class Game {
      */
     showMenu() {
         this.state = gameConfig.game.states.MENU;
-        this.showOverlay('Snake Game', 'Press Start to begin or use arrow keys');
+        this.engine.setPlayerCount(1);
+        this.engine.setRivals([]);
+        this.setLevel(null);
+        if (storage.hasSavedGame()) {
+            this.showOverlay('Snake Game', 'Press Continue to resume your last game or Start for a new one');
+        } else {
+            this.showOverlay('Snake Game', 'Press Start to begin or use arrow keys');
+        }
         this.updateUI();
         
         // Render initial state
@@ -471,6 +1479,17 @@ class Game {
         return this.state === gameConfig.game.states.PLAYING && !this.paused;
     }
 
+    /**
+     * Check if the simulation should advance on this frame
+     * @returns {boolean} True if ticks should run
+     */
+    isAdvancing() {
+        if (this.state === gameConfig.game.states.REPLAY) {
+            return replayPlayer.isAdvancing();
+        }
+        return this.isPlaying();
+    }
+
     /**
      * Get current game state
      * @returns {string} Current game state
@@ -488,11 +1507,9 @@ class Game {
         const gameTime = this.gameStartTime ? currentTime - this.gameStartTime : 0;
         
         return {
-            score: this.score,
+            ...this.engine.getStats(),
             highScore: this.highScore,
             gameTime: gameTime,
-            snakeLength: this.snake ? this.snake.getLength() : 0,
-            speed: this.speed,
             state: this.state,
             fps: performance.getFPS()
         };
@@ -503,7 +1520,9 @@ class Game {
      * @param {boolean} enabled - Whether to enable debug mode
      */
     setDebugMode(enabled) {
-        renderer.setDebugMode(enabled);
+        if (this.renderer) {
+            this.renderer.setDebugMode(enabled);
+        }
         collisionDetector.setDebugMode(enabled);
         console.log('Debug mode:', enabled ? 'enabled' : 'disabled');
     }
@@ -511,18 +1530,31 @@ class Game {
 
 // Initialize game when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
+    // Browser adapters for drawing and input
+    const renderer = new Renderer();
+    const inputHandler = new InputHandler();
+    const soundEffects = new SoundEffects();
+    const announcer = new Announcer();
+    window.renderer = renderer;
+    window.inputHandler = inputHandler;
+    window.soundEffects = soundEffects;
+    window.announcer = announcer;
+    
     // Create global game instance
-    window.game = new Game();
+    window.game = new Game({ renderer, input: inputHandler, audio: soundEffects, announcer });
     
     // Make game instance available globally for debugging
     if (typeof window !== 'undefined') {
         window.gameDebug = {
             game: window.game,
+            engine: window.game.engine,
             renderer,
             inputHandler,
             collisionDetector,
             utils,
             gameConfig,
+            replayPlayer,
+            replayRecorder,
             enableDebug: () => window.game.setDebugMode(true),
             disableDebug: () => window.game.setDebugMode(false)
         };
@@ -0,0 +1,131 @@
+// Physical Controllers (Gamepad API)
+// The Gamepad API has no button events, so controllers are read by polling once per frame. Each
+// poll reports what changed since the last one: controllers plugged in or out, new stick or D-pad
+// directions and newly pressed buttons. Held inputs are reported once, when they start.
+
+class GamepadInput {
+    constructor() {
+        this.pads = new Map(); // gamepad index -> { id, slot, direction, pressed }
+    }
+
+    /**
+     * Check if the browser supports the Gamepad API
+     * @returns {boolean} True if controllers can be read
+     */
+    isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+    }
+
+    /**
+     * Read every controller and report what changed since the last poll
+     * @returns {Object} Changes: { connected, disconnected, directions, actions }
+     */
+    poll() {
+        const changes = { connected: [], disconnected: [], directions: [], actions: [] };
+        if (!this.isSupported()) {
+            return changes;
+        }
+        
+        const gamepads = Array.from(navigator.getGamepads() || []).filter(gamepad => gamepad && gamepad.connected);
+        
+        // Controllers that are gone, or were swapped for another in the same port
+        for (const [index, pad] of this.pads) {
+            const gamepad = gamepads.find(candidate => candidate.index === index);
+            if (!gamepad || gamepad.id !== pad.id) {
+                this.pads.delete(index);
+                changes.disconnected.push({ id: pad.id, slot: pad.slot });
+            }
+        }
+        
+        for (const gamepad of gamepads) {
+            let pad = this.pads.get(gamepad.index);
+            if (!pad) {
+                pad = { id: gamepad.id, slot: this.getFreeSlot(), direction: null, pressed: new Set() };
+                this.pads.set(gamepad.index, pad);
+                changes.connected.push({ id: pad.id, slot: pad.slot });
+            }
+            
+            const direction = this.readDirection(gamepad);
+            if (direction && direction !== pad.direction) {
+                changes.directions.push({ slot: pad.slot, direction: direction });
+            }
+            pad.direction = direction;
+            
+            for (const [action, buttons] of Object.entries(gameConfig.controls.gamepad.buttons)) {
+                if (['up', 'down', 'left', 'right'].includes(action)) continue;
+                
+                const down = buttons.some(button => this.isPressed(gamepad, button));
+                if (down && !pad.pressed.has(action)) {
+                    changes.actions.push({ slot: pad.slot, action: action });
+                }
+                if (down) {
+                    pad.pressed.add(action);
+                } else {
+                    pad.pressed.delete(action);
+                }
+            }
+        }
+        
+        return changes;
+    }
+
+    /**
+     * Read the direction a controller is steering, D-pad first, then the stick
+     * @param {Gamepad} gamepad - Controller to read
+     * @returns {string|null} Direction name, or null when nothing is held
+     */
+    readDirection(gamepad) {
+        const settings = gameConfig.controls.gamepad;
+        for (const name of ['up', 'down', 'left', 'right']) {
+            if (settings.buttons[name].some(button => this.isPressed(gamepad, button))) {
+                return name;
+            }
+        }
+        
+        // The stick steers along whichever axis it leans furthest, once past the deadzone
+        const x = gamepad.axes[settings.axes.horizontal] || 0;
+        const y = gamepad.axes[settings.axes.vertical] || 0;
+        if (Math.max(Math.abs(x), Math.abs(y)) < settings.deadzone) {
+            return null;
+        }
+        if (Math.abs(x) > Math.abs(y)) {
+            return x > 0 ? 'right' : 'left';
+        }
+        return y > 0 ? 'down' : 'up';
+    }
+
+    /**
+     * Check if a controller button is held
+     * @param {Gamepad} gamepad - Controller to read
+     * @param {number} button - Button number
+     * @returns {boolean} True if pressed
+     */
+    isPressed(gamepad, button) {
+        const state = gamepad.buttons[button];
+        return Boolean(state && (state.pressed || state.value > 0.5));
+    }
+
+    /**
+     * Get the lowest player slot no connected controller holds
+     * @returns {number} Slot (0 for player 1)
+     */
+    getFreeSlot() {
+        const taken = new Set([...this.pads.values()].map(pad => pad.slot));
+        let slot = 0;
+        while (taken.has(slot)) {
+            slot++;
+        }
+        return slot;
+    }
+
+    /**
+     * Check if any controller is connected
+     * @returns {boolean} True with at least one controller
+     */
+    hasGamepads() {
+        return this.pads.size > 0;
+    }
+}
+
+// Export GamepadInput class
+window.GamepadInput = GamepadInput;
\ No newline at end of file
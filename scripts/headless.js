@@ -0,0 +1,28 @@
+// Headless Engine Loader (Node)
+// Loads the DOM-free simulation modules and exposes them as globals, the same way
+// the <script> tags in index.html do in the browser. Renderer, input and the Game
+// controller are browser adapters and are not loaded here.
+//
+// Usage:
+//   const { GameEngine, DIRECTIONS } = require('./scripts/headless');
+//   const engine = new GameEngine();
+//   engine.reset(42);
+//   while (!engine.isOver()) {
+//       engine.changeDirection(DIRECTIONS.UP);
+//       engine.step();
+//   }
+
+// Load order matters: later modules use earlier ones as globals
+const simulationModules = ['./utils', './snake', './effects', './food', './collision', './level', './ai', './engine', './bots', './env', './replay'];
+
+const headless = {};
+
+for (const modulePath of simulationModules) {
+    const exported = require(modulePath);
+    for (const [name, value] of Object.entries(exported)) {
+        global[name] = value;
+        headless[name] = value;
+    }
+}
+
+module.exports = headless;
\ No newline at end of file
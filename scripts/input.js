@@ -8,6 +8,7 @@ class InputHandler {
         this.touchEndPos = null;
         this.gameInstance = null;
         this.isMobile = this.detectMobile();
+        this.gamepads = new GamepadInput(); // physical controllers, polled by the game loop
         
         // Debounced and throttled input handlers
         this.debouncedKeyHandler = utils.debounce(this.handleKeyInput.bind(this), 50);
@@ -45,6 +46,14 @@ class InputHandler {
         window.addEventListener('blur', this.onWindowBlur.bind(this));
         window.addEventListener('focus', this.onWindowFocus.bind(this));
         
+        // A controller plugging in is the one thing worth an event: polling has to start somewhere
+        window.addEventListener('gamepadconnected', () => {
+            this.pollGamepads();
+            if (this.gameInstance) {
+                this.gameInstance.startGamepadPolling();
+            }
+        });
+        
         // Mobile gamepad events
         this.setupMobileGamepad();
         
@@ -66,7 +75,8 @@ class InputHandler {
                 ...gameConfig.controls.keyboard.restart
             ];
             
-            if (gameKeys.includes(event.code)) {
+            // Leave keys alone while the player is typing into a form field or pressing a focused button
+            if (gameKeys.includes(event.code) && !this.isFormField(event.target) && !this.isButtonPress(event)) {
                 event.preventDefault();
             }
         });
@@ -79,6 +89,36 @@ class InputHandler {
     onKeyDown(event) {
         const currentTime = Date.now();
         
+        // Form fields (e.g. the settings panel) own their keystrokes, and Space and Enter click a focused button
+        if (this.isFormField(event.target) || this.isButtonPress(event)) {
+            return;
+        }
+        
+        // One-switch play: a held switch key counts once; a key bound to pause still pauses
+        if (this.isSwitchScanning() && gameConfig.controls.switchKeys.includes(event.code) &&
+            !gameConfig.controls.keyboard.pause.includes(event.code)) {
+            if (!event.repeat) {
+                this.handleSwitch();
+            }
+            return;
+        }
+        
+        // Versus steering skips the shared rate limit so one player can't swallow the other's key
+        const player = this.getVersusPlayer(event.code);
+        if (player !== -1) {
+            this.keyPressed.add(event.code);
+            this.handleVersusKey(event.code, player);
+            return;
+        }
+        
+        // Steering keys go straight to the snake's turn buffer, so quick successive turns all count
+        if (this.isSteeringKey(event.code)) {
+            this.keyPressed.add(event.code);
+            this.queueInput('keyboard', event.code);
+            this.handleKeyInput(event.code);
+            return;
+        }
+        
         // Prevent rapid key repetition
         if (currentTime - this.lastKeyTime < 50) {
             return;
@@ -94,6 +134,34 @@ class InputHandler {
         this.debouncedKeyHandler(event.code);
     }
 
+    /**
+     * Check if a key steers player 1's snake
+     * @param {string} keyCode - Key code
+     * @returns {boolean} True for the movement keys
+     */
+    isSteeringKey(keyCode) {
+        const keys = gameConfig.controls.keyboard;
+        return [keys.up, keys.down, keys.left, keys.right].some(codes => codes.includes(keyCode));
+    }
+
+    /**
+     * Check if an event target is a form control that takes keyboard input
+     * @param {EventTarget} target - Event target
+     * @returns {boolean} True if target is a form field
+     */
+    isFormField(target) {
+        return Boolean(target && target.tagName && ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName));
+    }
+
+    /**
+     * Check if a key press clicks a focused button (Space and Enter do for keyboard users)
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {boolean} True for Space or Enter on a button
+     */
+    isButtonPress(event) {
+        return Boolean(event.target && event.target.tagName === 'BUTTON') && ['Space', 'Enter', 'NumpadEnter'].includes(event.code);
+    }
+
     /**
      * Handle keyup events
      * @param {KeyboardEvent} event - Keyboard event
@@ -111,7 +179,8 @@ class InputHandler {
             this.touchStartPos = {
                 x: event.touches[0].clientX,
                 y: event.touches[0].clientY,
-                time: Date.now()
+                time: Date.now(),
+                onButton: Boolean(event.target && event.target.closest && event.target.closest('button'))
             };
         }
         event.preventDefault();
@@ -152,6 +221,9 @@ class InputHandler {
         
         if (target.classList.contains('game-button')) {
             this.handleButtonClick(target.id);
+        } else if (target.id === 'game-canvas' && this.isSwitchScanning()) {
+            // A click on the board is the switch too
+            this.handleSwitch();
         }
     }
 
@@ -188,6 +260,24 @@ class InputHandler {
         // Calculate swipe distance and direction
         const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
         
+        // In the scanning scheme any tap is the switch
+        if (distance < gameConfig.controls.touch.minSwipeDistance && this.isSwitchScanning() && !this.touchStartPos.onButton) {
+            this.handleSwitch();
+            this.touchStartPos = null;
+            this.touchEndPos = null;
+            return;
+        }
+        
+        // In relative steering a tap turns towards the half of the screen it lands on (buttons handle their own taps)
+        if (distance < gameConfig.controls.touch.minSwipeDistance && this.isRelativeSteering() && !this.touchStartPos.onButton) {
+            const side = this.touchStartPos.x < window.innerWidth / 2 ? DIRECTIONS.LEFT : DIRECTIONS.RIGHT;
+            this.queueInput('touch', side);
+            this.handleTouchInput(side);
+            this.touchStartPos = null;
+            this.touchEndPos = null;
+            return;
+        }
+        
         // Check if swipe meets minimum requirements
         if (distance < gameConfig.controls.touch.minSwipeDistance || deltaTime > 300) {
             return;
@@ -217,7 +307,7 @@ class InputHandler {
 
     /**
      * Queue input for processing
-     * @param {string} type - Input type (keyboard, touch)
+     * @param {string} type - Input type (keyboard, touch, gamepad, switch)
      * @param {*} value - Input value
      */
     queueInput(type, value) {
@@ -240,25 +330,196 @@ class InputHandler {
      * @param {string} keyCode - Key code
      */
     handleKeyInput(keyCode) {
-        if (!this.gameInstance) {
+        if (!this.gameInstance || settingsPanel.isOpen() || controlsPanel.isOpen() || levelEditor.isActive()) {
             return;
         }
         
         // Movement keys
         if (gameConfig.controls.keyboard.up.includes(keyCode)) {
-            this.gameInstance.changeDirection(DIRECTIONS.UP);
+            this.steer(DIRECTIONS.UP);
         } else if (gameConfig.controls.keyboard.down.includes(keyCode)) {
-            this.gameInstance.changeDirection(DIRECTIONS.DOWN);
+            this.steer(DIRECTIONS.DOWN);
         } else if (gameConfig.controls.keyboard.left.includes(keyCode)) {
-            this.gameInstance.changeDirection(DIRECTIONS.LEFT);
+            this.steer(DIRECTIONS.LEFT);
         } else if (gameConfig.controls.keyboard.right.includes(keyCode)) {
-            this.gameInstance.changeDirection(DIRECTIONS.RIGHT);
+            this.steer(DIRECTIONS.RIGHT);
         }
         // Game control keys
         else if (gameConfig.controls.keyboard.pause.includes(keyCode)) {
             this.gameInstance.togglePause();
         } else if (gameConfig.controls.keyboard.restart.includes(keyCode)) {
             this.gameInstance.restart();
+        } else if (gameConfig.controls.keyboard.nextLevel.includes(keyCode)) {
+            this.gameInstance.nextLevel();
+        }
+    }
+
+    /**
+     * Find which versus player a steering key belongs to
+     * @param {string} keyCode - Key code
+     * @returns {number} Player index, or -1 outside two-player games and for other keys
+     */
+    getVersusPlayer(keyCode) {
+        if (!this.gameInstance || !this.gameInstance.isSplitKeyboard()) {
+            return -1;
+        }
+        
+        return gameConfig.controls.versus.findIndex(keys =>
+            Object.values(keys).some(codes => codes.includes(keyCode))
+        );
+    }
+
+    /**
+     * Steer a versus player's snake
+     * @param {string} keyCode - Key code
+     * @param {number} player - Player index
+     */
+    handleVersusKey(keyCode, player) {
+        if (settingsPanel.isOpen() || controlsPanel.isOpen() || levelEditor.isActive()) {
+            return;
+        }
+        
+        const keys = gameConfig.controls.versus[player];
+        const name = Object.keys(keys).find(direction => keys[direction].includes(keyCode));
+        this.steer(utils.getDirectionByName(name), player);
+    }
+
+    /**
+     * Steer with a directional input (key, swipe or D-pad), mapped through the control scheme
+     * In the relative scheme left and right turn the snake from its heading, and up and down do nothing.
+     * @param {Object} direction - Direction pressed
+     * @param {number} [player] - Index of the player steering (versus games)
+     */
+    steer(direction, player = 0) {
+        if (!this.isRelativeSteering()) {
+            this.gameInstance.changeDirection(direction, player);
+        } else if (direction === DIRECTIONS.LEFT || direction === DIRECTIONS.RIGHT) {
+            this.gameInstance.turn(direction.name, player);
+        }
+    }
+
+    /**
+     * Check if the relative (turn left / turn right) control scheme is on
+     * @returns {boolean} True for relative steering
+     */
+    isRelativeSteering() {
+        return gameConfig.controls.scheme === 'relative';
+    }
+
+    /**
+     * Check if the one-switch scanning scheme is on
+     * @returns {boolean} True for scanning
+     */
+    isSwitchScanning() {
+        return gameConfig.controls.scheme === 'scanning';
+    }
+
+    /**
+     * Take a press of the single switch (scanning scheme)
+     */
+    handleSwitch() {
+        if (!this.gameInstance || settingsPanel.isOpen() || controlsPanel.isOpen() || levelEditor.isActive()) {
+            return;
+        }
+        
+        this.queueInput('switch', null);
+        this.gameInstance.pressSwitch();
+    }
+
+    /**
+     * Read physical controllers and act on what changed since the last frame
+     */
+    pollGamepads() {
+        const changes = this.gamepads.poll();
+        if (!this.gameInstance) {
+            return;
+        }
+        
+        for (const pad of changes.disconnected) {
+            console.log(`Controller ${pad.slot + 1} disconnected: ${pad.id}`);
+            this.gameInstance.showToast(`Controller ${pad.slot + 1} disconnected`);
+            
+            // Losing a controller mid-game pauses, like losing window focus
+            if (this.gameInstance.isPlaying()) {
+                this.gameInstance.pause();
+            }
+        }
+        for (const pad of changes.connected) {
+            console.log(`Controller ${pad.slot + 1} connected: ${pad.id}`);
+            this.gameInstance.showToast(`Controller ${pad.slot + 1} connected`);
+        }
+        
+        if (settingsPanel.isOpen() || controlsPanel.isOpen() || levelEditor.isActive()) {
+            return;
+        }
+        
+        // In the scanning scheme Start still pauses, and every other button, the D-pad and the stick are the switch
+        if (this.isSwitchScanning()) {
+            const pauses = changes.actions.filter(({ action }) => action === 'pause');
+            if (pauses.length > 0) {
+                this.handleGamepadButton('pause', this.getGamepadPlayer(pauses[0].slot));
+            } else if (changes.actions.length > 0 || changes.directions.length > 0) {
+                this.handleSwitch();
+            }
+            return;
+        }
+        
+        for (const { slot, direction } of changes.directions) {
+            const player = this.getGamepadPlayer(slot);
+            if (player !== -1) {
+                this.queueInput('gamepad', direction);
+                this.steer(utils.getDirectionByName(direction), player);
+            }
+        }
+        for (const { slot, action } of changes.actions) {
+            this.handleGamepadButton(action, this.getGamepadPlayer(slot));
+        }
+    }
+
+    /**
+     * Find which player a controller steers
+     * @param {number} slot - Controller slot (0 for the first controller plugged in)
+     * @returns {number} Player index, or -1 for spare controllers in multi-player games
+     */
+    getGamepadPlayer(slot) {
+        // With one player every controller steers; otherwise controller N steers player N
+        const players = this.gameInstance.engine.playerCount;
+        if (players === 1) {
+            return 0;
+        }
+        return slot < players ? slot : -1;
+    }
+
+    /**
+     * Process a physical controller button
+     * @param {string} action - Action bound to the button (pause, restart, nextLevel, turnLeft or turnRight)
+     * @param {number} player - Player the controller steers (-1 for a spare controller)
+     */
+    handleGamepadButton(action, player) {
+        const states = gameConfig.game.states;
+        const state = this.gameInstance.getState();
+        
+        switch (action) {
+            case 'pause':
+                // Start also begins a game from the menu or the game-over screen
+                if (state === states.MENU || state === states.GAME_OVER) {
+                    this.gameInstance.restart();
+                } else {
+                    this.gameInstance.togglePause();
+                }
+                break;
+            case 'restart':
+                this.gameInstance.restart();
+                break;
+            case 'nextLevel':
+                this.gameInstance.nextLevel();
+                break;
+            case 'turnLeft':
+            case 'turnRight':
+                if (this.isRelativeSteering() && player !== -1) {
+                    this.gameInstance.turn(action === 'turnLeft' ? 'left' : 'right', player);
+                }
+                break;
         }
     }
 
@@ -271,7 +532,7 @@ class InputHandler {
             return;
         }
         
-        this.gameInstance.changeDirection(direction);
+        this.steer(direction);
     }
 
     /**
@@ -287,12 +548,63 @@ class InputHandler {
             case 'start-btn':
                 this.gameInstance.start();
                 break;
+            case 'continue-btn':
+                this.gameInstance.continueGame();
+                break;
+            case 'campaign-btn':
+                this.gameInstance.startCampaign();
+                break;
+            case 'versus-btn':
+                this.gameInstance.startVersus();
+                break;
+            case 'cpu-btn':
+                this.gameInstance.startCpuGame();
+                break;
+            case 'next-level-btn':
+                this.gameInstance.nextLevel();
+                break;
+            case 'editor-btn':
+                this.gameInstance.openEditor();
+                break;
+            case 'editor-resume-btn':
+                this.gameInstance.hideOverlay();
+                break;
+            case 'settings-btn':
+                settingsPanel.show();
+                break;
+            case 'settings-save-btn':
+                settingsPanel.save();
+                break;
+            case 'settings-cancel-btn':
+                settingsPanel.hide();
+                break;
+            case 'controls-btn':
+                controlsPanel.show();
+                break;
+            case 'controls-save-btn':
+                controlsPanel.save();
+                break;
+            case 'controls-reset-btn':
+                controlsPanel.resetToDefaults();
+                break;
+            case 'controls-cancel-btn':
+                controlsPanel.hide();
+                break;
             case 'pause-btn':
                 this.gameInstance.togglePause();
                 break;
             case 'restart-btn':
                 this.gameInstance.restart();
                 break;
+            case 'replay-btn':
+                this.gameInstance.watchLastReplay();
+                break;
+            case 'best-replay-btn':
+                this.gameInstance.watchBestReplay();
+                break;
+            case 'import-replay-btn':
+                replayPlayer.openImportDialog();
+                break;
         }
     }
 
@@ -345,16 +657,16 @@ class InputHandler {
         
         switch (direction) {
             case 'up':
-                this.gameInstance.changeDirection(DIRECTIONS.UP);
+                this.steer(DIRECTIONS.UP);
                 break;
             case 'down':
-                this.gameInstance.changeDirection(DIRECTIONS.DOWN);
+                this.steer(DIRECTIONS.DOWN);
                 break;
             case 'left':
-                this.gameInstance.changeDirection(DIRECTIONS.LEFT);
+                this.steer(DIRECTIONS.LEFT);
                 break;
             case 'right':
-                this.gameInstance.changeDirection(DIRECTIONS.RIGHT);
+                this.steer(DIRECTIONS.RIGHT);
                 break;
         }
     }
@@ -503,12 +815,15 @@ class InputHandler {
         const recentInputs = this.inputQueue.slice(-20);
         const keyboardInputs = recentInputs.filter(input => input.type === 'keyboard');
         const touchInputs = recentInputs.filter(input => input.type === 'touch');
+        const gamepadInputs = recentInputs.filter(input => input.type === 'gamepad');
         
         return {
             totalInputs: this.inputQueue.length,
             recentInputs: recentInputs.length,
             keyboardInputs: keyboardInputs.length,
             touchInputs: touchInputs.length,
+            gamepadInputs: gamepadInputs.length,
+            gamepads: this.gamepads.pads.size,
             currentlyPressed: this.getPressedKeys(),
             lastInputTime: this.inputQueue.length > 0 ? 
                            this.inputQueue[this.inputQueue.length - 1].timestamp : 0
@@ -546,9 +861,5 @@ class InputHandler {
     }
 }
 
-// Create global input handler instance
-const inputHandler = new InputHandler();
-
-// Export InputHandler class and instance
-window.InputHandler = InputHandler;
-window.inputHandler = inputHandler;
\ No newline at end of file
+// Export InputHandler class (the game creates the instance once the DOM is ready)
+window.InputHandler = InputHandler;
\ No newline at end of file
@@ -0,0 +1,357 @@
+// Level Layouts and Campaign
+// A level is plain JSON: board size, static wall cells, where the snake spawns and what clears it.
+//
+// {
+//     "version": 1,
+//     "id": "box",
+//     "name": "The Box",
+//     "columns": 30,
+//     "rows": 30,
+//     "walls": [[0, 0], [1, 0], ...],
+//     "spawn": { "x": 15, "y": 15, "direction": "right" },
+//     "goal": { "score": 100 },         // and/or { "length": 20 }
+//     "patrols": [[[4, 4], [5, 4], ...]] // optional: paths patrolling food walks, one cell at a time
+// }
+const LEVEL_VERSION = 1;
+
+// Board size limits for levels, in cells
+const LEVEL_SIZE_LIMITS = { min: 10, max: 60, default: 30 };
+
+class Level {
+    /**
+     * @param {Object} data - Level data in the JSON format above
+     */
+    constructor(data = {}) {
+        this.version = data.version || LEVEL_VERSION;
+        this.id = String(data.id || 'custom');
+        this.name = String(data.name || 'Custom Level');
+        this.columns = data.columns === undefined ? LEVEL_SIZE_LIMITS.default : data.columns;
+        this.rows = data.rows === undefined ? LEVEL_SIZE_LIMITS.default : data.rows;
+        this.walls = Array.isArray(data.walls) ? data.walls.map(cell => this.toPosition(cell)) : [];
+        this.wallSet = new Set(this.walls.map(wall => `${wall.x},${wall.y}`));
+        
+        const spawn = data.spawn || {};
+        this.spawn = {
+            x: spawn.x,
+            y: spawn.y,
+            direction: utils.getDirectionByName(spawn.direction) || DIRECTIONS.RIGHT
+        };
+        this.goal = { ...data.goal };
+        this.patrols = Array.isArray(data.patrols)
+            ? data.patrols.map(path => (Array.isArray(path) ? path.map(cell => this.toPosition(cell)) : []))
+            : [];
+    }
+
+    /**
+     * Convert a wall cell from [x, y] or {x, y} form to a position
+     * @param {Array|Object} cell - Wall cell
+     * @returns {Object} Position (NaN coordinates if unreadable, caught by validate)
+     */
+    toPosition(cell) {
+        if (Array.isArray(cell)) {
+            return { x: cell[0], y: cell[1] };
+        }
+        return cell && typeof cell === 'object' ? { x: cell.x, y: cell.y } : { x: NaN, y: NaN };
+    }
+
+    /**
+     * Check if a position is inside the level's board
+     * @param {Object} position - Position to check
+     * @returns {boolean} True if on the board
+     */
+    isInside(position) {
+        return position.x >= 0 && position.x < this.columns &&
+               position.y >= 0 && position.y < this.rows;
+    }
+
+    /**
+     * Check if a cell is a wall
+     * @param {Object} position - Position to check
+     * @returns {boolean} True if the cell is a wall
+     */
+    isWall(position) {
+        return this.wallSet.has(`${position.x},${position.y}`);
+    }
+
+    /**
+     * Get the wall cells
+     * @returns {Array} Array of wall positions
+     */
+    getWalls() {
+        return this.walls;
+    }
+
+    /**
+     * Get the patrol paths
+     * @returns {Array} Array of paths, each an array of positions in walking order
+     */
+    getPatrols() {
+        return this.patrols;
+    }
+
+    /**
+     * Get the starting body for the snake, head first, trailing away from the spawn direction
+     * @param {number} [length] - Number of segments
+     * @returns {Array} Array of positions
+     */
+    getSpawnBody(length = gameConfig.snake.initialLength) {
+        const body = [];
+        for (let i = 0; i < length; i++) {
+            body.push(utils.createPosition(
+                this.spawn.x - this.spawn.direction.x * i,
+                this.spawn.y - this.spawn.direction.y * i
+            ));
+        }
+        return body;
+    }
+
+    /**
+     * Check if the level's goal has been reached
+     * @param {number} score - Current score
+     * @param {number} length - Current snake length
+     * @returns {boolean} True if the level is cleared
+     */
+    isComplete(score, length) {
+        if (typeof this.goal.score === 'number' && score >= this.goal.score) {
+            return true;
+        }
+        if (typeof this.goal.length === 'number' && length >= this.goal.length) {
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Describe the goal for display
+     * @returns {string} Goal description
+     */
+    describeGoal() {
+        const parts = [];
+        if (typeof this.goal.score === 'number') {
+            parts.push(`${this.goal.score} points`);
+        }
+        if (typeof this.goal.length === 'number') {
+            parts.push(`length ${this.goal.length}`);
+        }
+        return `Reach ${parts.join(' or ')}`;
+    }
+
+    /**
+     * Validate the level against its board size and the current starting length
+     * @returns {Object} Validation result
+     */
+    validate() {
+        const issues = [];
+        
+        if (this.version !== LEVEL_VERSION) {
+            issues.push(`Unsupported level version: ${this.version}`);
+        }
+        
+        for (const size of [this.columns, this.rows]) {
+            if (!Number.isInteger(size) || size < LEVEL_SIZE_LIMITS.min || size > LEVEL_SIZE_LIMITS.max) {
+                issues.push(`Board size must be ${LEVEL_SIZE_LIMITS.min}-${LEVEL_SIZE_LIMITS.max} cells: ${this.columns}x${this.rows}`);
+                break;
+            }
+        }
+        
+        for (const wall of this.walls) {
+            if (!Number.isInteger(wall.x) || !Number.isInteger(wall.y) || !this.isInside(wall)) {
+                issues.push(`Wall outside the board: ${wall.x},${wall.y}`);
+                break;
+            }
+        }
+        
+        if (!Number.isInteger(this.spawn.x) || !Number.isInteger(this.spawn.y)) {
+            issues.push('Missing spawn position');
+        } else {
+            // The whole starting body has to fit on open cells
+            for (const segment of this.getSpawnBody()) {
+                if (!this.isInside(segment) || this.isWall(segment)) {
+                    issues.push(`Snake spawns on a blocked cell: ${segment.x},${segment.y}`);
+                    break;
+                }
+            }
+        }
+        
+        // Patrol paths run over open cells, each step to a neighbouring cell
+        for (const path of this.patrols) {
+            const issue = this.checkPatrol(path);
+            if (issue) {
+                issues.push(issue);
+                break;
+            }
+        }
+        
+        const hasScoreGoal = typeof this.goal.score === 'number' && this.goal.score > 0;
+        const hasLengthGoal = typeof this.goal.length === 'number' && this.goal.length > 0;
+        if (!hasScoreGoal && !hasLengthGoal) {
+            issues.push('Goal needs a target score or length');
+        }
+        
+        return {
+            valid: issues.length === 0,
+            issues: issues
+        };
+    }
+
+    /**
+     * Check one patrol path
+     * @param {Array} path - Path cells
+     * @returns {string|null} Problem with the path, or null if it is fine
+     */
+    checkPatrol(path) {
+        if (path.length < 2) {
+            return 'Patrol path needs at least two cells';
+        }
+        
+        for (let i = 0; i < path.length; i++) {
+            const cell = path[i];
+            if (!Number.isInteger(cell.x) || !Number.isInteger(cell.y) || !this.isInside(cell) || this.isWall(cell)) {
+                return `Patrol path crosses a blocked cell: ${cell.x},${cell.y}`;
+            }
+            if (i > 0 && Math.abs(cell.x - path[i - 1].x) + Math.abs(cell.y - path[i - 1].y) !== 1) {
+                return `Patrol path skips a cell: ${path[i - 1].x},${path[i - 1].y} to ${cell.x},${cell.y}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the level as JSON-ready data
+     * @returns {Object} Level data
+     */
+    toJSON() {
+        return {
+            version: this.version,
+            id: this.id,
+            name: this.name,
+            columns: this.columns,
+            rows: this.rows,
+            walls: this.walls.map(wall => [wall.x, wall.y]),
+            spawn: {
+                x: this.spawn.x,
+                y: this.spawn.y,
+                direction: this.spawn.direction.name
+            },
+            goal: { ...this.goal },
+            patrols: this.patrols.map(path => path.map(cell => [cell.x, cell.y]))
+        };
+    }
+}
+
+/**
+ * Build a straight run of wall cells between two points (inclusive)
+ * @param {number} x1 - Start column
+ * @param {number} y1 - Start row
+ * @param {number} x2 - End column
+ * @param {number} y2 - End row
+ * @returns {Array} Array of [x, y] cells
+ */
+function wallLine(x1, y1, x2, y2) {
+    const cells = [];
+    for (let x = Math.min(x1, x2); x <= Math.max(x1, x2); x++) {
+        for (let y = Math.min(y1, y2); y <= Math.max(y1, y2); y++) {
+            cells.push([x, y]);
+        }
+    }
+    return cells;
+}
+
+/**
+ * Build a wall around the edge of a 30x30 board
+ * @returns {Array} Array of [x, y] cells
+ */
+function wallBorder() {
+    return [
+        ...wallLine(0, 0, 29, 0),
+        ...wallLine(0, 29, 29, 29),
+        ...wallLine(0, 1, 0, 28),
+        ...wallLine(29, 1, 29, 28)
+    ];
+}
+
+/**
+ * Build a patrol path round the edge of a rectangle, clockwise from its top-left corner
+ * @param {number} x1 - Left column
+ * @param {number} y1 - Top row
+ * @param {number} x2 - Right column
+ * @param {number} y2 - Bottom row
+ * @returns {Array} Array of [x, y] cells in walking order
+ */
+function patrolLoop(x1, y1, x2, y2) {
+    const cells = [];
+    for (let x = x1; x < x2; x++) {
+        cells.push([x, y1]);
+    }
+    for (let y = y1; y < y2; y++) {
+        cells.push([x2, y]);
+    }
+    for (let x = x2; x > x1; x--) {
+        cells.push([x, y2]);
+    }
+    for (let y = y2; y > y1; y--) {
+        cells.push([x1, y]);
+    }
+    return cells;
+}
+
+// Built-in campaign, played in order (laid out for the default 30x30 board)
+const campaignLevels = [
+    {
+        version: LEVEL_VERSION,
+        id: 'box',
+        name: 'The Box',
+        walls: wallBorder(),
+        spawn: { x: 15, y: 15, direction: 'right' },
+        goal: { score: 100 }
+    },
+    {
+        version: LEVEL_VERSION,
+        id: 'cross',
+        name: 'Crossroads',
+        walls: [
+            ...wallLine(15, 5, 15, 24),
+            ...wallLine(5, 15, 14, 15),
+            ...wallLine(16, 15, 24, 15)
+        ],
+        spawn: { x: 12, y: 3, direction: 'right' },
+        goal: { score: 150 },
+        patrols: [patrolLoop(4, 4, 25, 25)]
+    },
+    {
+        version: LEVEL_VERSION,
+        id: 'pillars',
+        name: 'Pillars',
+        walls: [6, 14, 22].flatMap(x => [6, 14, 22].flatMap(y => wallLine(x, y, x + 1, y + 1))),
+        spawn: { x: 12, y: 10, direction: 'right' },
+        goal: { length: 20 }
+    },
+    {
+        version: LEVEL_VERSION,
+        id: 'rooms',
+        name: 'Maze Rooms',
+        walls: [
+            ...wallBorder(),
+            // Dividing walls with two-cell doorways into each room
+            ...wallLine(15, 1, 15, 6),
+            ...wallLine(15, 9, 15, 20),
+            ...wallLine(15, 23, 15, 28),
+            ...wallLine(1, 15, 6, 15),
+            ...wallLine(9, 15, 14, 15),
+            ...wallLine(16, 15, 20, 15),
+            ...wallLine(23, 15, 28, 15)
+        ],
+        spawn: { x: 11, y: 7, direction: 'right' },
+        goal: { score: 200 }
+    }
+];
+
+// Export level model and campaign
+if (typeof window !== 'undefined') {
+    window.Level = Level;
+    window.LEVEL_SIZE_LIMITS = LEVEL_SIZE_LIMITS;
+    window.campaignLevels = campaignLevels;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Level, LEVEL_SIZE_LIMITS, campaignLevels };
+}
\ No newline at end of file
@@ -8,6 +8,8 @@ class Renderer {
         this.debugMode = false;
         this.animationFrame = 0;
         this.effects = [];
+        this.boardWidth = 0; // board size the canvas was last set up for
+        this.boardHeight = 0;
         
         this.initializeCanvas();
     }
@@ -36,9 +38,15 @@ class Renderer {
      * Setup canvas properties
      */
     setupCanvas() {
+        // Let the stylesheet size the canvas for the current board before measuring it
+        this.canvas.style.width = '';
+        this.canvas.style.height = '';
+        
         // Set canvas size
         this.canvas.width = gameConfig.board.width;
         this.canvas.height = gameConfig.board.height;
+        this.boardWidth = gameConfig.board.width;
+        this.boardHeight = gameConfig.board.height;
         
         // Setup high DPI support
         this.setupHighDPI();
@@ -67,8 +75,9 @@ class Renderer {
         this.canvas.style.width = rect.width + 'px';
         this.canvas.style.height = rect.height + 'px';
         
-        // Scale the drawing context so everything draws at correct size
-        this.ctx.scale(dpr, dpr);
+        // Scale the drawing context so board coordinates fill the displayed canvas
+        const boardScale = rect.width / gameConfig.board.width || 1;
+        this.ctx.scale(dpr * boardScale, dpr * boardScale);
         this.scale = dpr;
     }
 
@@ -78,26 +87,75 @@ class Renderer {
     clear() {
         if (!this.initialized) return;
         
+        // Follow board size changes (levels can bring their own size)
+        if (gameConfig.board.width !== this.boardWidth || gameConfig.board.height !== this.boardHeight) {
+            this.setupCanvas();
+        }
+        
         this.ctx.fillStyle = gameConfig.board.backgroundColor;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
     }
 
     /**
      * Render the game board background
+     * @param {Level} [level] - Level whose walls to draw
      */
-    renderBoard() {
+    renderBoard(level = null) {
         if (!this.initialized) return;
         
         // Fill background
         this.ctx.fillStyle = gameConfig.board.backgroundColor;
         this.ctx.fillRect(0, 0, gameConfig.board.width, gameConfig.board.height);
         
+        // Mark the edges as passable when portal walls are on
+        if (gameConfig.board.wrap) {
+            this.drawPortalEdges();
+        }
+        
+        if (level) {
+            this.drawWalls(level);
+        }
+        
         // Draw grid lines if in debug mode
         if (this.debugMode) {
             this.drawGrid();
         }
     }
 
+    /**
+     * Draw a level's wall cells
+     * @param {Level} level - Level to draw
+     */
+    drawWalls(level) {
+        const cellSize = gameConfig.board.cellSize;
+        
+        this.ctx.fillStyle = gameConfig.board.wallColor;
+        for (const wall of level.getWalls()) {
+            const position = utils.gridToPixel(wall);
+            this.ctx.fillRect(position.x, position.y, cellSize, cellSize);
+        }
+        
+        // Outline each cell so long walls still read as a grid
+        this.ctx.strokeStyle = this.darkenColor(gameConfig.board.wallColor, 0.3);
+        this.ctx.lineWidth = 1;
+        for (const wall of level.getWalls()) {
+            const position = utils.gridToPixel(wall);
+            this.ctx.strokeRect(position.x + 0.5, position.y + 0.5, cellSize - 1, cellSize - 1);
+        }
+    }
+
+    /**
+     * Draw a dashed outline showing the board edges wrap around
+     */
+    drawPortalEdges() {
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(78, 205, 196, 0.5)';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([6, 6]);
+        this.ctx.strokeRect(1, 1, gameConfig.board.width - 2, gameConfig.board.height - 2);
+        this.ctx.restore();
+    }
+
     /**
      * Draw grid lines for debugging
      */
@@ -125,22 +183,29 @@ class Renderer {
     /**
      * Render the snake
      * @param {Snake} snake - Snake instance to render
+     * @param {Object} [colors] - Body and head colors ({ color, headColor })
+     * @param {number|null} [progress] - Fraction of the way to the next tick for smooth movement; null snaps to cells
      */
-    renderSnake(snake) {
+    renderSnake(snake, colors = gameConfig.snake, progress = null) {
         if (!this.initialized || !snake) return;
         
         const body = snake.body;
         
-        // Render body segments
-        for (let i = 0; i < body.length; i++) {
-            const segment = body[i];
-            const pixelPos = utils.gridToPixel(segment);
-            
-            // Different styling for head vs body
-            if (i === 0) {
-                this.drawSnakeHead(pixelPos);
-            } else {
-                this.drawSnakeBody(pixelPos, i);
+        // A snake poisoned down to nothing has no head to slide (the snapped path simply draws nothing)
+        if (progress !== null && body.length > 0) {
+            this.drawSmoothSnake(snake, colors, progress);
+        } else {
+            // Render body segments
+            for (let i = 0; i < body.length; i++) {
+                const segment = body[i];
+                const pixelPos = utils.gridToPixel(segment);
+                
+                // Different styling for head vs body
+                if (i === 0) {
+                    this.drawSnakeHead(pixelPos, colors);
+                } else {
+                    this.drawSnakeBody(pixelPos, i, colors);
+                }
             }
         }
         
@@ -150,15 +215,96 @@ class Renderer {
         }
     }
 
+    /**
+     * Draw a snake sliding between cells as one rounded band
+     * The head and tail are part-way along their last step; every segment in between has just moved
+     * into the cell the one ahead of it left, so the band runs through those cells and rounds the turns.
+     * @param {Snake} snake - Snake instance to render
+     * @param {Object} colors - Snake colors
+     * @param {number} progress - Fraction of the way to the next tick
+     */
+    drawSmoothSnake(snake, colors, progress) {
+        const cellSize = gameConfig.board.cellSize;
+        const body = snake.body;
+        const head = this.interpolateSegment(snake, 0, progress);
+        
+        const path = [head, ...body.slice(1)];
+        if (body.length > 1) {
+            path.push(this.interpolateSegment(snake, body.length - 1, progress));
+        }
+        
+        // Outline first, then the body color inside it, matching the bordered cells
+        this.ctx.save();
+        this.ctx.lineCap = 'round';
+        this.ctx.lineJoin = 'round';
+        this.strokeSnakePath(path, this.darkenColor(colors.color, 0.2), cellSize - 1);
+        this.strokeSnakePath(path, colors.color, cellSize - 3);
+        this.ctx.restore();
+        
+        this.drawSnakeHead(utils.gridToPixel(head), colors);
+    }
+
+    /**
+     * Stroke a line through cell centres, lifting the pen where the snake crosses a portal edge
+     * @param {Array} path - Grid positions (may be fractional)
+     * @param {string} color - Stroke color
+     * @param {number} width - Line width in pixels
+     */
+    strokeSnakePath(path, color, width) {
+        const half = gameConfig.board.cellSize / 2;
+        
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = width;
+        this.ctx.beginPath();
+        path.forEach((point, index) => {
+            const pixelPos = utils.gridToPixel(point);
+            const previous = path[index - 1];
+            if (!previous || Math.abs(point.x - previous.x) > 1 || Math.abs(point.y - previous.y) > 1) {
+                this.ctx.moveTo(pixelPos.x + half, pixelPos.y + half);
+            } else {
+                this.ctx.lineTo(pixelPos.x + half, pixelPos.y + half);
+            }
+        });
+        this.ctx.stroke();
+    }
+
+    /**
+     * Get where a segment is part-way through its last step
+     * @param {Snake} snake - Snake instance
+     * @param {number} index - Segment index
+     * @param {number} progress - Fraction of the way to the next tick
+     * @returns {Object} Grid position (may be fractional, or just off the board after a portal step)
+     */
+    interpolateSegment(snake, index, progress) {
+        const current = snake.body[index];
+        const previous = snake.previousBody[index] || current; // a segment just added by growth stays put
+        let dx = current.x - previous.x;
+        let dy = current.y - previous.y;
+        
+        // A step through a portal edge slides in from beyond the opposite edge
+        if (Math.abs(dx) > 1) {
+            dx = -Math.sign(dx);
+        }
+        if (Math.abs(dy) > 1) {
+            dy = -Math.sign(dy);
+        }
+        
+        return {
+            x: current.x - dx * (1 - progress),
+            y: current.y - dy * (1 - progress)
+        };
+    }
+
     /**
      * Draw snake head
      * @param {Object} position - Pixel position
+     * @param {Object} [colors] - Snake colors
      */
-    drawSnakeHead(position) {
+    drawSnakeHead(position, colors = gameConfig.snake) {
         const cellSize = gameConfig.board.cellSize;
         
         // Main head body
-        this.ctx.fillStyle = gameConfig.snake.headColor;
+        this.ctx.fillStyle = colors.headColor;
         this.ctx.fillRect(position.x, position.y, cellSize, cellSize);
         
         // Add border
@@ -202,18 +348,19 @@ class Renderer {
      * Draw snake body segment
      * @param {Object} position - Pixel position
      * @param {number} index - Segment index
+     * @param {Object} [colors] - Snake colors
      */
-    drawSnakeBody(position, index) {
+    drawSnakeBody(position, index, colors = gameConfig.snake) {
         const cellSize = gameConfig.board.cellSize;
         
         // Alternating shades for body segments
-        const shade = index % 2 === 0 ? gameConfig.snake.color : this.lightenColor(gameConfig.snake.color, 0.1);
+        const shade = index % 2 === 0 ? colors.color : this.lightenColor(colors.color, 0.1);
         
         this.ctx.fillStyle = shade;
         this.ctx.fillRect(position.x, position.y, cellSize, cellSize);
         
         // Add subtle border
-        this.ctx.strokeStyle = this.darkenColor(gameConfig.snake.color, 0.2);
+        this.ctx.strokeStyle = this.darkenColor(colors.color, 0.2);
         this.ctx.lineWidth = 0.5;
         this.ctx.strokeRect(position.x + 0.5, position.y + 0.5, cellSize - 1, cellSize - 1);
     }
@@ -241,11 +388,20 @@ class Renderer {
             case 'mega':
                 this.drawSpecialFood(renderData.x + sizeOffset, renderData.y + sizeOffset, actualSize, renderData.color, '♦');
                 break;
-            case 'speed':
-                this.drawSpecialFood(renderData.x + sizeOffset, renderData.y + sizeOffset, actualSize, renderData.color, '⚡');
+            case 'poison':
+                this.drawSpecialFood(renderData.x + sizeOffset, renderData.y + sizeOffset, actualSize, renderData.color, '☠');
+                break;
+            case 'bomb':
+                this.drawSpecialFood(renderData.x + sizeOffset, renderData.y + sizeOffset, actualSize, renderData.color, '✸');
                 break;
             default:
-                this.drawNormalFood(renderData.x + sizeOffset, renderData.y + sizeOffset, actualSize, renderData.color);
+                // Power-ups carry their symbol in the catalogue
+                if (powerUps[renderData.type]) {
+                    this.drawSpecialFood(renderData.x + sizeOffset, renderData.y + sizeOffset, actualSize, renderData.color,
+                        powerUps[renderData.type].symbol);
+                } else {
+                    this.drawNormalFood(renderData.x + sizeOffset, renderData.y + sizeOffset, actualSize, renderData.color);
+                }
         }
     }
 
@@ -290,6 +446,37 @@ class Renderer {
         this.ctx.fillText(symbol, x + size / 2, y + size / 2);
     }
 
+    /**
+     * Render the one-switch scan: every move on offer outlined, the highlighted one filled with an arrow
+     * @param {Array} candidates - Moves on offer as { direction, position }
+     * @param {Object|null} highlighted - Move the switch would take
+     */
+    renderScan(candidates, highlighted) {
+        if (!this.initialized || candidates.length === 0) return;
+        
+        const cellSize = gameConfig.board.cellSize;
+        const arrows = { up: '▲', down: '▼', left: '◄', right: '►' };
+        
+        this.ctx.save();
+        this.ctx.lineWidth = 2;
+        for (const candidate of candidates) {
+            const position = utils.gridToPixel(candidate.position);
+            if (candidate === highlighted) {
+                this.ctx.fillStyle = 'rgba(255, 230, 109, 0.85)';
+                this.ctx.fillRect(position.x, position.y, cellSize, cellSize);
+                this.ctx.fillStyle = '#1a1a2e';
+                this.ctx.font = `bold ${cellSize * 0.7}px Arial`;
+                this.ctx.textAlign = 'center';
+                this.ctx.textBaseline = 'middle';
+                this.ctx.fillText(arrows[candidate.direction.name], position.x + cellSize / 2, position.y + cellSize / 2);
+            } else {
+                this.ctx.strokeStyle = 'rgba(255, 230, 109, 0.5)';
+                this.ctx.strokeRect(position.x + 1, position.y + 1, cellSize - 2, cellSize - 2);
+            }
+        }
+        this.ctx.restore();
+    }
+
     /**
      * Render game effects (particles, explosions, etc.)
      */
@@ -431,10 +618,10 @@ class Renderer {
             case 'gameOver':
                 this.ctx.font = 'bold 48px Arial';
                 this.ctx.fillStyle = '#e94560';
-                this.ctx.fillText('GAME OVER', centerX, centerY - 60);
+                this.ctx.fillText(data.title || 'GAME OVER', centerX, centerY - 60);
                 this.ctx.fillStyle = '#ffffff';
                 this.ctx.font = '32px Arial';
-                this.ctx.fillText(`Score: ${data.score || 0}`, centerX, centerY - 10);
+                this.ctx.fillText(data.scoreText || `Score: ${data.score || 0}`, centerX, centerY - 10);
                 this.ctx.font = '24px Arial';
                 this.ctx.fillText('Press R to restart', centerX, centerY + 40);
                 break;
@@ -513,9 +700,5 @@ class Renderer {
     }
 }
 
-// Create global renderer instance
-const renderer = new Renderer();
-
-// Export Renderer class and instance
-window.Renderer = Renderer;
-window.renderer = renderer;
\ No newline at end of file
+// Export Renderer class (the game creates the instance once the DOM is ready)
+window.Renderer = Renderer;
\ No newline at end of file
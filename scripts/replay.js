@@ -0,0 +1,509 @@
+// Replay Recording and Playback System
+const REPLAY_VERSION = 6;
+
+class ReplayRecorder {
+    constructor() {
+        this.replay = null;
+    }
+
+    /**
+     * Start recording a new game
+     * @param {number} seed - Seed the game was started with
+     * @param {Level} [level] - Level being played (null for the open board)
+     * @param {number} [players] - Number of human players (2 for versus games)
+     * @param {Array} [rivals] - Difficulty of each computer rival
+     */
+    start(seed, level = null, players = 1, rivals = []) {
+        this.replay = {
+            version: REPLAY_VERSION,
+            seed: seed,
+            config: utils.snapshotConfig(),
+            level: level ? level.toJSON() : null,
+            players: players,
+            rivals: rivals,
+            inputs: [],
+            finalTick: 0,
+            score: 0,
+            recordedAt: Date.now()
+        };
+    }
+
+    /**
+     * Record an accepted direction change
+     * @param {number} tick - Ticks completed when the change was made
+     * @param {Object} direction - Direction object
+     * @param {number} [player] - Index of the player steering
+     */
+    recordDirection(tick, direction, player = 0) {
+        if (!this.replay) return;
+        
+        // Stored as compact [tick, directionName] pairs, with the player index added for player 2 onwards
+        this.replay.inputs.push(player > 0 ? [tick, direction.name, player] : [tick, direction.name]);
+    }
+
+    /**
+     * Finish recording and return the replay
+     * @param {Object} stats - Final game statistics
+     * @returns {Object|null} Finished replay or null if not recording
+     */
+    finish(stats) {
+        if (!this.replay) return null;
+        
+        const replay = this.replay;
+        replay.finalTick = stats.ticks;
+        replay.score = stats.score;
+        this.replay = null;
+        
+        return replay;
+    }
+
+    /**
+     * Continue recording a replay restored from a saved game
+     * @param {Object} replay - Partially recorded replay
+     */
+    resume(replay) {
+        this.replay = replay;
+    }
+
+    /**
+     * Discard the replay being recorded
+     */
+    cancel() {
+        this.replay = null;
+    }
+
+    /**
+     * Check if a game is being recorded
+     * @returns {boolean} True if recording
+     */
+    isRecording() {
+        return this.replay !== null;
+    }
+}
+
+class ReplayPlayer {
+    constructor() {
+        this.replay = null;
+        this.game = null;
+        this.playing = false;
+        this.finished = false;
+        this.playbackSpeed = 1;
+        this.keyframeInterval = 100; // ticks between keyframes used for seeking
+        this.keyframes = new Map();
+        this.savedConfig = null;
+        
+        // UI elements
+        this.controlsElement = null;
+        this.playButton = null;
+        this.seekInput = null;
+        this.speedSelect = null;
+        this.tickLabel = null;
+        this.importInput = null;
+    }
+
+    /**
+     * Get replay control element references and bind their events
+     * @param {Game} game - Game instance to drive
+     */
+    initializeControls(game) {
+        this.game = game;
+        this.controlsElement = document.getElementById('replay-controls');
+        this.playButton = document.getElementById('replay-play-btn');
+        this.seekInput = document.getElementById('replay-seek');
+        this.speedSelect = document.getElementById('replay-speed');
+        this.tickLabel = document.getElementById('replay-tick');
+        this.importInput = document.getElementById('replay-import');
+        
+        if (this.playButton) {
+            this.playButton.addEventListener('click', () => this.togglePlay());
+        }
+        if (this.seekInput) {
+            this.seekInput.addEventListener('input', () => this.seek(parseInt(this.seekInput.value, 10)));
+        }
+        if (this.speedSelect) {
+            this.speedSelect.addEventListener('change', () => this.setSpeed(parseFloat(this.speedSelect.value)));
+        }
+        
+        const exportButton = document.getElementById('replay-export-btn');
+        if (exportButton) {
+            exportButton.addEventListener('click', () => this.exportReplay());
+        }
+        
+        const exitButton = document.getElementById('replay-exit-btn');
+        if (exitButton) {
+            exitButton.addEventListener('click', () => this.game.stopReplay());
+        }
+        
+        if (this.importInput) {
+            this.importInput.addEventListener('change', () => this.importReplay());
+        }
+    }
+
+    /**
+     * Validate replay data before playback
+     * @param {Object} replay - Replay data
+     * @returns {Object} Validation result
+     */
+    validate(replay) {
+        const issues = [];
+        
+        if (!replay || typeof replay !== 'object') {
+            return { valid: false, issues: ['Replay is not an object'] };
+        }
+        
+        this.migrate(replay);
+        
+        if (replay.version !== REPLAY_VERSION) {
+            issues.push(`Unsupported replay version: ${replay.version}`);
+        }
+        if (typeof replay.seed !== 'number') {
+            issues.push('Missing seed');
+        }
+        if (!replay.config || !replay.config.board || !replay.config.snake || !replay.config.food ||
+            !Array.isArray(replay.config.food.spawnTable) || !replay.config.food.growth) {
+            issues.push('Missing config snapshot');
+        }
+        if (replay.level && !Array.isArray(replay.level.walls)) {
+            issues.push('Invalid level layout');
+        }
+        const players = replay.players === undefined ? 1 : replay.players;
+        if (!Number.isInteger(players) || players < 1) {
+            issues.push(`Invalid player count: ${replay.players}`);
+        }
+        if (replay.rivals !== undefined &&
+            (!Array.isArray(replay.rivals) || !replay.rivals.every(rival => aiDifficulties[rival]))) {
+            issues.push('Invalid rivals');
+        }
+        if (!Array.isArray(replay.inputs)) {
+            issues.push('Missing input list');
+        } else {
+            for (const input of replay.inputs) {
+                const player = input && input[2] !== undefined ? input[2] : 0;
+                if (!Array.isArray(input) || typeof input[0] !== 'number' || !utils.getDirectionByName(input[1]) ||
+                    !Number.isInteger(player) || player < 0 || player >= players) {
+                    issues.push(`Invalid input: ${JSON.stringify(input)}`);
+                    break;
+                }
+            }
+        }
+        if (typeof replay.finalTick !== 'number') {
+            issues.push('Missing final tick');
+        }
+        
+        return {
+            valid: issues.length === 0,
+            issues: issues
+        };
+    }
+
+    /**
+     * Upgrade a replay recorded by an older version in place
+     * @param {Object} replay - Replay data
+     */
+    migrate(replay) {
+        // Versions 1 to 3 upgraded food in place at random instead of drawing from the spawn table, so
+        // those games can't be reproduced and are left as they are to be rejected
+        
+        // Version 4 predates growth per food type: every meal added one segment, hazards none
+        if (replay.version === 4 && replay.config && replay.config.food) {
+            replay.config.food.growth = { poison: 0, bomb: 0 };
+            replay.version = 5;
+        }
+        
+        // Version 5 predates the turn buffer: a later change in the same tick replaced the earlier one,
+        // so only each player's last change per tick took effect
+        if (replay.version === 5 && Array.isArray(replay.inputs)) {
+            const last = new Map(); // "tick,player" -> index of the last change
+            replay.inputs.forEach((input, i) => {
+                if (Array.isArray(input)) {
+                    last.set(`${input[0]},${input[2] || 0}`, i);
+                }
+            });
+            replay.inputs = replay.inputs.filter((input, i) => !Array.isArray(input) || last.get(`${input[0]},${input[2] || 0}`) === i);
+            replay.version = 6;
+        }
+    }
+
+    /**
+     * Load a replay and apply its config snapshot
+     * @param {Object} replay - Replay data
+     * @returns {boolean} True if the replay was loaded
+     */
+    load(replay) {
+        const validation = this.validate(replay);
+        if (!validation.valid) {
+            console.warn('Invalid replay:', validation.issues);
+            return false;
+        }
+        
+        this.replay = replay;
+        this.keyframes.clear();
+        this.playing = true;
+        this.finished = false;
+        this.savedConfig = utils.applyConfig(replay.config);
+        
+        this.showControls();
+        return true;
+    }
+
+    /**
+     * Unload the current replay and restore the live config
+     */
+    unload() {
+        if (this.savedConfig) {
+            utils.applyConfig(this.savedConfig);
+            this.savedConfig = null;
+        }
+        
+        this.replay = null;
+        this.keyframes.clear();
+        this.playing = false;
+        this.finished = false;
+        this.hideControls();
+    }
+
+    /**
+     * Feed the recorded direction changes for a tick into the snakes
+     * @param {number} tick - Ticks completed before the upcoming move
+     * @param {Array} snakes - Snakes to steer, indexed by player
+     */
+    applyInputs(tick, snakes) {
+        for (const [inputTick, directionName, player = 0] of this.replay.inputs) {
+            if (inputTick === tick) {
+                snakes[player].changeDirection(utils.getDirectionByName(directionName));
+            } else if (inputTick > tick) {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Store a keyframe for the game's current tick if one is due
+     */
+    captureKeyframe() {
+        const tick = this.game.engine.tickCount;
+        if (tick % this.keyframeInterval === 0 && !this.keyframes.has(tick)) {
+            this.keyframes.set(tick, this.game.engine.getState());
+        }
+    }
+
+    /**
+     * Called by the game after each replayed tick
+     */
+    onTick() {
+        this.captureKeyframe();
+        
+        if (this.game.engine.tickCount >= this.replay.finalTick) {
+            this.finish();
+        }
+        
+        this.updateControls();
+    }
+
+    /**
+     * Mark playback as finished
+     */
+    finish() {
+        this.finished = true;
+        this.playing = false;
+        this.updateControls();
+    }
+
+    /**
+     * Start or resume playback
+     */
+    play() {
+        if (!this.replay) return;
+        
+        // Playing from the end restarts the replay
+        if (this.finished) {
+            this.seek(0);
+        }
+        
+        this.playing = true;
+        this.updateControls();
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        this.playing = false;
+        this.updateControls();
+    }
+
+    /**
+     * Toggle between play and pause
+     */
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Jump to a tick by restoring the nearest keyframe and simulating forward
+     * @param {number} targetTick - Tick to seek to
+     */
+    seek(targetTick) {
+        if (!this.replay) return;
+        
+        const target = utils.clamp(targetTick, 0, this.replay.finalTick);
+        
+        // Find the latest keyframe at or before the target
+        let keyframeTick = -1;
+        for (const tick of this.keyframes.keys()) {
+            if (tick <= target && tick > keyframeTick) {
+                keyframeTick = tick;
+            }
+        }
+        
+        // Only rewind when we have to; seeking forward continues from the current state
+        if (target < this.game.engine.tickCount || keyframeTick > this.game.engine.tickCount) {
+            this.game.engine.setState(this.keyframes.get(keyframeTick));
+        }
+        
+        this.finished = false;
+        this.game.fastForwarding = true;
+        while (this.game.engine.tickCount < target && !this.finished) {
+            this.game.update();
+        }
+        this.game.fastForwarding = false;
+        
+        this.game.accumulator = 0;
+        this.finished = this.game.engine.tickCount >= this.replay.finalTick;
+        this.updateControls();
+        this.game.updateUI();
+        this.game.render();
+    }
+
+    /**
+     * Set the playback speed multiplier
+     * @param {number} speed - Playback speed (1 = real time)
+     */
+    setSpeed(speed) {
+        if (Number.isFinite(speed) && speed > 0) {
+            this.playbackSpeed = speed;
+        }
+    }
+
+    /**
+     * Check if the replay should advance
+     * @returns {boolean} True if ticks should be simulated
+     */
+    isAdvancing() {
+        return this.replay !== null && this.playing && !this.finished;
+    }
+
+    /**
+     * Download the loaded replay as a JSON file
+     */
+    exportReplay() {
+        if (!this.replay) return;
+        
+        const blob = new Blob([JSON.stringify(this.replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `snake-replay-${this.replay.seed}-${this.replay.score}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Open the file picker for importing a replay
+     */
+    openImportDialog() {
+        if (this.importInput) {
+            this.importInput.value = '';
+            this.importInput.click();
+        }
+    }
+
+    /**
+     * Read the replay file chosen in the import input
+     */
+    importReplay() {
+        const file = this.importInput && this.importInput.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            let replay = null;
+            try {
+                replay = JSON.parse(reader.result);
+            } catch (error) {
+                this.game.showOverlay('Invalid Replay', 'The file is not valid JSON');
+                return;
+            }
+            
+            const validation = this.validate(replay);
+            if (!validation.valid) {
+                this.game.showOverlay('Invalid Replay', validation.issues.join(' • '));
+                return;
+            }
+            
+            this.game.watchReplay(replay);
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Show the replay control bar
+     */
+    showControls() {
+        if (this.controlsElement) {
+            this.controlsElement.classList.add('show');
+        }
+        if (this.seekInput) {
+            this.seekInput.max = this.replay.finalTick;
+        }
+        if (this.speedSelect) {
+            this.speedSelect.value = String(this.playbackSpeed);
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Hide the replay control bar
+     */
+    hideControls() {
+        if (this.controlsElement) {
+            this.controlsElement.classList.remove('show');
+        }
+    }
+
+    /**
+     * Sync the control bar with playback state
+     */
+    updateControls() {
+        if (!this.replay || !this.game) return;
+        
+        if (this.playButton) {
+            this.playButton.textContent = this.playing ? 'Pause' : 'Play';
+        }
+        if (this.seekInput) {
+            this.seekInput.value = this.game.engine.tickCount;
+        }
+        if (this.tickLabel) {
+            this.tickLabel.textContent = `${this.game.engine.tickCount} / ${this.replay.finalTick}`;
+        }
+    }
+}
+
+// Create global replay instances
+const replayRecorder = new ReplayRecorder();
+const replayPlayer = new ReplayPlayer();
+
+// Export replay classes and instances
+if (typeof window !== 'undefined') {
+    window.ReplayRecorder = ReplayRecorder;
+    window.ReplayPlayer = ReplayPlayer;
+    window.replayRecorder = replayRecorder;
+    window.replayPlayer = replayPlayer;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { REPLAY_VERSION, ReplayRecorder, ReplayPlayer, replayRecorder, replayPlayer };
+}
\ No newline at end of file
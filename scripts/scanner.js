@@ -0,0 +1,121 @@
+// One-Switch Scanning
+// For players who can only press a single switch. Before each move the game holds while the safe
+// directions are highlighted one after another; pressing the switch takes the highlighted one. If a
+// full round passes without a press the snake carries straight on, so where going straight is safe
+// the game just runs slowly, and where it isn't the game waits for the player.
+
+class SwitchScanner {
+    constructor() {
+        this.candidates = []; // moves on offer as { direction, position }, straight on first
+        this.index = 0; // candidate highlighted
+        this.straightSafe = false; // whether carrying straight on is among the candidates
+        this.elapsed = 0; // ms spent on this decision
+        this.waiting = false; // true while a decision is being scanned
+    }
+
+    /**
+     * Start a decision: gather the moves on offer for a snake
+     * @param {GameEngine} engine - Engine being played
+     * @param {number} [player] - Index of the snake being steered
+     */
+    begin(engine, player = 0) {
+        const snake = engine.snakes[player];
+        const heading = snake.getLastQueuedDirection();
+        const safe = engine.collisionDetector.getSafePositions(snake, engine.level, engine.getRivalsOf(player))
+            .filter(move => move.canMove);
+        
+        // Straight on, then left, then right; with nothing safe every move is offered and the player picks how to crash
+        const order = [heading, utils.rotateDirection(heading, 'left'), utils.rotateDirection(heading, 'right')];
+        const moves = order.map(direction => safe.find(move => move.direction === direction)).filter(Boolean);
+        this.candidates = moves.length > 0
+            ? moves.map(move => ({ direction: move.direction, position: move.position }))
+            : order.map(direction => ({ direction: direction, position: utils.getNeighbourPosition(snake.getHead(), direction) }));
+        
+        this.straightSafe = moves.length > 0 && moves[0].direction === heading;
+        this.index = 0;
+        this.elapsed = 0;
+        this.waiting = true;
+    }
+
+    /**
+     * Move the highlight on with the time that has passed
+     * @param {number} frameTime - Milliseconds since the last frame
+     * @returns {Object|null} Straight on, once a full round passes without a press and it is safe; otherwise null
+     */
+    advance(frameTime) {
+        if (!this.waiting) {
+            return null;
+        }
+        
+        const interval = Math.max(1, gameConfig.controls.scanInterval);
+        this.elapsed += frameTime;
+        const steps = Math.floor(this.elapsed / interval);
+        if (steps >= this.candidates.length) {
+            if (this.straightSafe) {
+                this.waiting = false;
+                return this.candidates[0].direction;
+            }
+            // Nowhere safe to drift: keep scanning until the player chooses
+            this.elapsed %= interval * this.candidates.length;
+        }
+        
+        this.index = Math.floor(this.elapsed / interval) % this.candidates.length;
+        return null;
+    }
+
+    /**
+     * Take the highlighted move (the switch was pressed)
+     * @returns {Object|null} Direction chosen, or null outside a decision
+     */
+    select() {
+        if (!this.waiting) {
+            return null;
+        }
+        
+        this.waiting = false;
+        return this.candidates[this.index].direction;
+    }
+
+    /**
+     * Drop the decision in progress (the game was paused, restarted or ended)
+     */
+    reset() {
+        this.candidates = [];
+        this.index = 0;
+        this.straightSafe = false;
+        this.elapsed = 0;
+        this.waiting = false;
+    }
+
+    /**
+     * Get the moves on offer
+     * @returns {Array} Candidates as { direction, position }
+     */
+    getCandidates() {
+        return this.waiting ? this.candidates : [];
+    }
+
+    /**
+     * Get the highlighted move
+     * @returns {Object|null} Candidate, or null outside a decision
+     */
+    getHighlighted() {
+        return this.waiting ? this.candidates[this.index] : null;
+    }
+
+    /**
+     * Check if a decision is being scanned
+     * @returns {boolean} True while waiting for the switch
+     */
+    isWaiting() {
+        return this.waiting;
+    }
+}
+
+// Export one-switch scanning
+if (typeof window !== 'undefined') {
+    window.SwitchScanner = SwitchScanner;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SwitchScanner };
+}
\ No newline at end of file
@@ -0,0 +1,220 @@
+// Settings Panel
+class SettingsPanel {
+    constructor() {
+        this.game = null;
+        this.open = false;
+        this.previousOverlay = null;
+        
+        // UI elements
+        this.panelElement = null;
+        this.controlButtons = null;
+        this.difficultySelect = null;
+        this.speedRampSelect = null;
+        this.boardModeSelect = null;
+        this.startingLengthInput = null;
+        this.cpuDifficultySelect = null;
+        this.cpuRivalsInput = null;
+        this.soundCheckbox = null;
+        this.controlSchemeSelect = null;
+        this.scanIntervalInput = null;
+        this.announcementsSelect = null;
+        this.smoothMovementCheckbox = null;
+    }
+
+    /**
+     * Get settings element references and fill in the option lists
+     * @param {Game} game - Game instance
+     */
+    initialize(game) {
+        this.game = game;
+        this.panelElement = document.getElementById('settings-panel');
+        this.controlButtons = document.querySelector('.overlay-content > .control-buttons');
+        this.difficultySelect = document.getElementById('setting-difficulty');
+        this.speedRampSelect = document.getElementById('setting-speed-ramp');
+        this.boardModeSelect = document.getElementById('setting-board-mode');
+        this.startingLengthInput = document.getElementById('setting-starting-length');
+        this.cpuDifficultySelect = document.getElementById('setting-cpu-difficulty');
+        this.cpuRivalsInput = document.getElementById('setting-cpu-rivals');
+        this.soundCheckbox = document.getElementById('setting-sound');
+        this.controlSchemeSelect = document.getElementById('setting-control-scheme');
+        this.scanIntervalInput = document.getElementById('setting-scan-interval');
+        this.announcementsSelect = document.getElementById('setting-announcements');
+        this.smoothMovementCheckbox = document.getElementById('setting-smooth-movement');
+        
+        this.populateOptions(this.difficultySelect, difficultyLevels);
+        this.populateOptions(this.speedRampSelect, speedRampCurves);
+        this.populateOptions(this.boardModeSelect, boardModes);
+        this.populateOptions(this.cpuDifficultySelect, aiDifficulties);
+        this.populateOptions(this.controlSchemeSelect, controlSchemes);
+        this.populateOptions(this.announcementsSelect, announcerVerbosity);
+    }
+
+    /**
+     * Fill a select element from a table of named options
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Object} options - Options keyed by value, each with a description
+     */
+    populateOptions(select, options) {
+        if (!select) return;
+        
+        select.innerHTML = '';
+        for (const [value, option] of Object.entries(options)) {
+            const element = document.createElement('option');
+            element.value = value;
+            element.textContent = `${value.charAt(0).toUpperCase()}${value.slice(1)} – ${option.description}`;
+            select.appendChild(element);
+        }
+    }
+
+    /**
+     * Show the settings panel in the overlay
+     */
+    show() {
+        if (!this.panelElement || this.open) return;
+        
+        this.writeForm(storage.getSettings());
+        this.previousOverlay = {
+            title: this.game.overlayTitle ? this.game.overlayTitle.textContent : '',
+            message: this.game.overlayMessage ? this.game.overlayMessage.textContent : ''
+        };
+        
+        this.open = true;
+        this.panelElement.classList.add('show');
+        if (this.controlButtons) {
+            this.controlButtons.style.display = 'none';
+        }
+        this.game.showOverlay('Settings', 'Changes apply from your next game');
+    }
+
+    /**
+     * Hide the settings panel and restore the previous overlay
+     */
+    hide() {
+        if (!this.open) return;
+        
+        this.open = false;
+        this.panelElement.classList.remove('show');
+        if (this.controlButtons) {
+            this.controlButtons.style.display = '';
+        }
+        if (this.previousOverlay) {
+            this.game.showOverlay(this.previousOverlay.title, this.previousOverlay.message);
+        }
+        this.game.updateUI();
+    }
+
+    /**
+     * Save the form to storage and close the panel
+     */
+    save() {
+        storage.setSettings({
+            ...storage.getSettings(),
+            ...this.readForm()
+        });
+        this.hide();
+        
+        console.log('Settings saved');
+    }
+
+    /**
+     * Load settings into the form
+     * @param {Object} settings - Settings to show
+     */
+    writeForm(settings) {
+        if (this.difficultySelect) {
+            this.difficultySelect.value = settings.difficulty;
+        }
+        if (this.speedRampSelect) {
+            this.speedRampSelect.value = settings.speedRamp;
+        }
+        if (this.boardModeSelect) {
+            this.boardModeSelect.value = settings.boardMode;
+        }
+        if (this.startingLengthInput) {
+            this.startingLengthInput.value = settings.startingLength;
+        }
+        if (this.cpuDifficultySelect) {
+            this.cpuDifficultySelect.value = settings.cpuDifficulty;
+        }
+        if (this.cpuRivalsInput) {
+            this.cpuRivalsInput.value = settings.cpuRivals;
+        }
+        if (this.soundCheckbox) {
+            this.soundCheckbox.checked = settings.soundEnabled;
+        }
+        if (this.controlSchemeSelect) {
+            this.controlSchemeSelect.value = settings.controlScheme;
+        }
+        if (this.scanIntervalInput) {
+            this.scanIntervalInput.value = settings.scanInterval;
+        }
+        if (this.announcementsSelect) {
+            this.announcementsSelect.value = settings.announcements;
+        }
+        if (this.smoothMovementCheckbox) {
+            this.smoothMovementCheckbox.checked = settings.smoothMovement;
+        }
+    }
+
+    /**
+     * Read settings from the form
+     * @returns {Object} Settings from the form
+     */
+    readForm() {
+        const settings = {};
+        
+        if (this.difficultySelect && difficultyLevels[this.difficultySelect.value]) {
+            settings.difficulty = this.difficultySelect.value;
+        }
+        if (this.speedRampSelect && speedRampCurves[this.speedRampSelect.value]) {
+            settings.speedRamp = this.speedRampSelect.value;
+        }
+        if (this.boardModeSelect && boardModes[this.boardModeSelect.value]) {
+            settings.boardMode = this.boardModeSelect.value;
+        }
+        if (this.startingLengthInput) {
+            const length = parseInt(this.startingLengthInput.value, 10);
+            settings.startingLength = utils.clamp(Number.isNaN(length) ? 3 : length, 2, 10);
+        }
+        if (this.cpuDifficultySelect && aiDifficulties[this.cpuDifficultySelect.value]) {
+            settings.cpuDifficulty = this.cpuDifficultySelect.value;
+        }
+        if (this.cpuRivalsInput) {
+            const rivals = parseInt(this.cpuRivalsInput.value, 10);
+            settings.cpuRivals = utils.clamp(Number.isNaN(rivals) ? 1 : rivals, 1, 3);
+        }
+        if (this.soundCheckbox) {
+            settings.soundEnabled = this.soundCheckbox.checked;
+        }
+        if (this.controlSchemeSelect && controlSchemes[this.controlSchemeSelect.value]) {
+            settings.controlScheme = this.controlSchemeSelect.value;
+        }
+        if (this.scanIntervalInput) {
+            const interval = parseInt(this.scanIntervalInput.value, 10);
+            settings.scanInterval = utils.clamp(Number.isNaN(interval) ? 1000 : interval, 300, 5000);
+        }
+        if (this.announcementsSelect && announcerVerbosity[this.announcementsSelect.value]) {
+            settings.announcements = this.announcementsSelect.value;
+        }
+        if (this.smoothMovementCheckbox) {
+            settings.smoothMovement = this.smoothMovementCheckbox.checked;
+        }
+        
+        return settings;
+    }
+
+    /**
+     * Check if the panel is showing
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return this.open;
+    }
+}
+
+// Create global settings panel instance
+const settingsPanel = new SettingsPanel();
+
+// Export SettingsPanel class and instance
+window.SettingsPanel = SettingsPanel;
+window.settingsPanel = settingsPanel;
\ No newline at end of file
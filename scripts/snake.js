@@ -6,24 +6,31 @@ class Snake {
 
     /**
      * Reset snake to initial state
+     * @param {Object} [spawn] - Head position and direction ({x, y, direction}); defaults to the board centre facing right
      */
-    reset() {
-        // Initialize snake body with starting length
-        this.body = [];
-        const startX = Math.floor(gameConfig.board.columns / 2);
-        const startY = Math.floor(gameConfig.board.rows / 2);
+    reset(spawn = null) {
+        const start = spawn || {
+            x: Math.floor(gameConfig.board.columns / 2),
+            y: Math.floor(gameConfig.board.rows / 2),
+            direction: DIRECTIONS.RIGHT
+        };
         
-        // Create initial body segments
+        // Initialize snake body with starting length, trailing behind the head
+        this.body = [];
         for (let i = 0; i < gameConfig.snake.initialLength; i++) {
-            this.body.push(utils.createPosition(startX - i, startY));
+            this.body.push(utils.createPosition(
+                start.x - start.direction.x * i,
+                start.y - start.direction.y * i
+            ));
         }
+        this.previousBody = this.body.slice(); // where each segment was before the last move, for smooth rendering
         
         // Set initial direction
-        this.direction = DIRECTIONS.RIGHT;
-        this.nextDirection = DIRECTIONS.RIGHT;
+        this.direction = start.direction;
+        this.turnQueue = []; // turns waiting to be made, one per move (at most gameConfig.snake.turnBuffer)
         
-        // Track growing state
-        this.growing = false;
+        // Segments still to add (or, when negative, to shed), one per move
+        this.pendingGrowth = 0;
         this.length = gameConfig.snake.initialLength;
     }
 
@@ -44,52 +51,114 @@ class Snake {
     }
 
     /**
-     * Change snake direction if valid
+     * Queue a turn if valid
+     * Each turn is checked against the one queued before it (or the current direction), so quick
+     * successive turns are all made, one per move, and can never add up to a reversal.
      * @param {Object} newDirection - New direction to set
-     * @returns {boolean} True if direction was changed
+     * @returns {boolean} True if the turn was queued
      */
     changeDirection(newDirection) {
-        // Prevent reverse direction (can't move directly backwards)
-        if (utils.areDirectionsOpposite(newDirection, this.direction)) {
+        const previous = this.getLastQueuedDirection();
+        
+        // Prevent reverse direction (can't move directly backwards); going the same way is no turn at all
+        if (utils.areDirectionsOpposite(newDirection, previous) || newDirection === previous) {
+            return false;
+        }
+        
+        // A full buffer drops the newest turn rather than rewriting ones already queued
+        if (this.turnQueue.length >= Math.max(1, gameConfig.snake.turnBuffer || 1)) {
             return false;
         }
         
-        // Queue the direction change for next update
-        this.nextDirection = newDirection;
+        this.turnQueue.push(newDirection);
         return true;
     }
 
+    /**
+     * Get the direction the snake will be heading once every queued turn is made
+     * @returns {Object} Direction
+     */
+    getLastQueuedDirection() {
+        return this.turnQueue.length > 0 ? this.turnQueue[this.turnQueue.length - 1] : this.direction;
+    }
+
+    /**
+     * Get the direction of the next move
+     * @returns {Object} Direction
+     */
+    getNextDirection() {
+        return this.turnQueue.length > 0 ? this.turnQueue[0] : this.direction;
+    }
+
+    /**
+     * Drop every queued turn
+     */
+    clearTurns() {
+        this.turnQueue = [];
+    }
+
     /**
      * Move the snake one step in current direction
      */
     move() {
-        // Update direction from queued direction
-        this.direction = this.nextDirection;
+        // Make the next queued turn
+        if (this.turnQueue.length > 0) {
+            this.direction = this.turnQueue.shift();
+        }
         
-        // Calculate new head position
-        const head = this.getHead();
-        const newHead = utils.createPosition(
-            head.x + this.direction.x,
-            head.y + this.direction.y
-        );
+        // Calculate new head position (wrapping to the opposite edge with portal walls)
+        const newHead = utils.getNeighbourPosition(this.getHead(), this.direction);
+        this.previousBody = this.body.slice();
         
         // Add new head to front of body
         this.body.unshift(newHead);
         
-        // Remove tail unless growing
-        if (!this.growing) {
-            this.body.pop();
-        } else {
-            this.growing = false;
+        // Keep the tail while growing; while shrinking drop a second segment too (never the head)
+        if (this.pendingGrowth > 0) {
+            this.pendingGrowth--;
             this.length++;
+        } else {
+            this.body.pop();
+            if (this.pendingGrowth < 0) {
+                this.pendingGrowth++;
+                if (this.body.length > 1) {
+                    this.body.pop();
+                    this.length--;
+                } else {
+                    this.pendingGrowth = 0;
+                }
+            }
         }
     }
 
     /**
-     * Make the snake grow on next move
+     * Queue segments to add over the next moves (negative to shed them instead)
+     * Growth adds up, so several meals before a move all count.
+     * @param {number} [segments] - Segments to add, one per move
+     */
+    grow(segments = 1) {
+        this.pendingGrowth += segments;
+    }
+
+    /**
+     * Get the segments still queued to add (negative while shedding)
+     * @returns {number} Pending growth
+     */
+    getPendingGrowth() {
+        return this.pendingGrowth;
+    }
+
+    /**
+     * Shed segments from the tail
+     * @param {number} count - Segments to remove
+     * @param {number} [minLength] - Shortest the snake may become
+     * @returns {number} Segments actually removed
      */
-    grow() {
-        this.growing = true;
+    shrink(count, minLength = 1) {
+        const removed = Math.max(0, Math.min(count, this.body.length - minLength));
+        this.body.length -= removed;
+        this.length -= removed;
+        return removed;
     }
 
     /**
@@ -150,29 +219,27 @@ class Snake {
     }
 
     /**
-     * Get next head position without moving
+     * Get next head position without moving (taking the next queued turn)
      * @returns {Object} Next head position
      */
     getNextHeadPosition() {
-        const head = this.getHead();
-        return utils.createPosition(
-            head.x + this.direction.x,
-            head.y + this.direction.y
-        );
+        return utils.getNeighbourPosition(this.getHead(), this.getNextDirection());
     }
 
     /**
      * Validate snake state for debugging
+     * @param {Object} [options] - Validation options
+     * @param {boolean} [options.allowOverlap] - Accept segments sharing a cell (a ghost passing through itself)
      * @returns {Object} Validation result
      */
-    validate() {
+    validate(options = {}) {
         const issues = [];
         
         // Check for duplicate positions in body
         const positions = new Set();
         for (const segment of this.body) {
             const key = `${segment.x},${segment.y}`;
-            if (positions.has(key)) {
+            if (positions.has(key) && !options.allowOverlap) {
                 issues.push(`Duplicate position: ${key}`);
             }
             positions.add(key);
@@ -190,6 +257,14 @@ class Snake {
             issues.push('Snake body is empty');
         }
         
+        // Check the growth queue and the length counter it drives
+        if (!Number.isInteger(this.pendingGrowth)) {
+            issues.push(`Invalid pending growth: ${this.pendingGrowth}`);
+        }
+        if (this.length !== this.body.length) {
+            issues.push(`Length ${this.length} doesn't match body of ${this.body.length}`);
+        }
+        
         return {
             valid: issues.length === 0,
             issues: issues
@@ -204,8 +279,8 @@ class Snake {
         return {
             body: [...this.body],
             direction: this.direction,
-            nextDirection: this.nextDirection,
-            growing: this.growing,
+            turnQueue: [...this.turnQueue],
+            pendingGrowth: this.pendingGrowth,
             length: this.length
         };
     }
@@ -215,13 +290,32 @@ class Snake {
      * @param {Object} state - Snake state to restore
      */
     setState(state) {
-        this.body = [...state.body];
-        this.direction = state.direction;
-        this.nextDirection = state.nextDirection;
-        this.growing = state.growing;
+        this.body = state.body.map(segment => utils.createPosition(segment.x, segment.y));
+        this.previousBody = this.body.slice(); // a restored snake hasn't just moved
+        // Directions may come back from JSON, so resolve them to the shared constants
+        this.direction = this.resolveDirection(state.direction);
+        // Saves from before the turn buffer had a single queued direction, equal to the heading when no turn was due
+        if (state.turnQueue) {
+            this.turnQueue = state.turnQueue.map(direction => this.resolveDirection(direction));
+        } else {
+            const next = state.nextDirection ? this.resolveDirection(state.nextDirection) : this.direction;
+            this.turnQueue = next !== this.direction ? [next] : [];
+        }
+        // Saves from before the growth queue only had a flag for one segment
+        this.pendingGrowth = state.pendingGrowth !== undefined ? state.pendingGrowth : (state.growing ? 1 : 0);
         this.length = state.length;
     }
 
+    /**
+     * Resolve a saved direction (object or name) to a DIRECTIONS constant
+     * @param {Object|string} direction - Saved direction
+     * @returns {Object} Direction constant
+     */
+    resolveDirection(direction) {
+        const name = typeof direction === 'string' ? direction : direction && direction.name;
+        return utils.getDirectionByName(name) || DIRECTIONS.RIGHT;
+    }
+
     /**
      * Get debug information
      * @returns {Object} Debug information
@@ -231,12 +325,17 @@ class Snake {
             bodyLength: this.body.length,
             head: this.getHead(),
             direction: this.getDirectionName(),
-            growing: this.growing,
-            nextDirection: this.nextDirection.name,
+            pendingGrowth: this.pendingGrowth,
+            turnQueue: this.turnQueue.map(direction => direction.name),
             validation: this.validate()
         };
     }
 }
 
 // Export Snake class
-window.Snake = Snake;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.Snake = Snake;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Snake };
+}
\ No newline at end of file
@@ -6,7 +6,9 @@ const gameConfig = {
         width: 600,
         height: 600,
         cellSize: 20,
+        wrap: false, // portal walls: leaving one edge re-enters on the opposite side
         backgroundColor: '#16213e',
+        wallColor: '#533483',
         get rows() { return this.height / this.cellSize; },
         get columns() { return this.width / this.cellSize; }
     },
@@ -14,23 +16,68 @@ const gameConfig = {
         initialLength: 3,
         color: '#0f3460',
         headColor: '#e94560',
+        playerColors: [ // body and head colors per player in versus games
+            { color: '#0f3460', headColor: '#e94560' },
+            { color: '#1b6b4a', headColor: '#4ecdc4' },
+            { color: '#5b2c6f', headColor: '#c39bd3' },
+            { color: '#7e5109', headColor: '#f7dc6f' }
+        ],
         speed: 150, // milliseconds per move
+        minSpeed: 75, // fastest the score ramp can make the game
+        turnBuffer: 3, // turns that can be queued ahead of the snake, made one per move
+        speedRamp: {
+            pointsPerStep: 100, // score needed for each speed-up
+            reductionPerStep: 5 // milliseconds removed per speed-up
+        },
         initialDirection: 'right'
     },
     food: {
         color: '#f39c12',
         size: 18,
-        points: 10
+        points: 10,
+        maxItems: 1, // food items kept on the board at once
+        growth: { normal: 1, bonus: 2, mega: 5, poison: 0, bomb: 0 }, // segments added per food type (others add one)
+        spawnTable: [ // each new item's type is drawn by weight from the entries unlocked by the top score
+            // lifetime: game time (ms) before the item expires (0 = never); maxConcurrent: 0 = no limit
+            // behaviour: how the item moves by itself (see foodBehaviours in food.js); omit for static food
+            { type: 'normal', weight: 80, minScore: 0, lifetime: 0, maxConcurrent: 0 },
+            { type: 'bonus', weight: 10, minScore: 0, lifetime: 10000, maxConcurrent: 1, behaviour: 'wander' },
+            { type: 'bonus', weight: 8, minScore: 0, lifetime: 15000, maxConcurrent: 1, behaviour: 'patrol' }, // levels with patrol paths only
+            { type: 'speed', weight: 6, minScore: 0, lifetime: 10000, maxConcurrent: 1 },
+            { type: 'mega', weight: 4, minScore: 50, lifetime: 8000, maxConcurrent: 1, behaviour: 'flee' },
+            // Power-ups (see powerUps in effects.js)
+            { type: 'slow', weight: 3, minScore: 30, lifetime: 10000, maxConcurrent: 1 },
+            { type: 'ghost', weight: 3, minScore: 50, lifetime: 10000, maxConcurrent: 1 },
+            { type: 'shrink', weight: 3, minScore: 80, lifetime: 10000, maxConcurrent: 1 },
+            { type: 'multiplier', weight: 3, minScore: 30, lifetime: 10000, maxConcurrent: 1 },
+            { type: 'magnet', weight: 3, minScore: 30, lifetime: 10000, maxConcurrent: 1 },
+            { type: 'shield', weight: 2, minScore: 50, lifetime: 10000, maxConcurrent: 1 },
+            // Hazards: poison shrinks the snake and costs points, bombs end the run, decoys vanish when approached
+            { type: 'poison', weight: 4, minScore: 50, lifetime: 6000, maxConcurrent: 2 },
+            { type: 'bomb', weight: 2, minScore: 100, lifetime: 5000, maxConcurrent: 1 },
+            { type: 'decoy', weight: 3, minScore: 30, lifetime: 8000, maxConcurrent: 1 }
+        ]
     },
     game: {
         fps: 60,
+        maxFrameTime: 250, // longest frame (ms) fed into the fixed-timestep loop
+        toastDuration: 3000, // how long (ms) short notices such as "Controller connected" stay up
+        announcements: 'standard', // screen reader verbosity (key into announcerVerbosity), set from settings
+        smoothMovement: true, // slide snakes between cells instead of jumping a cell per tick, set from settings
         enableSounds: true,
         highScoreKey: 'snakeHighScore',
+        replayKey: 'snakeReplays',
+        saveKey: 'snakeSavedGame',
+        campaignKey: 'snakeCampaign',
+        levelDraftKey: 'snakeLevelDraft',
+        keyBindingsKey: 'snakeKeyBindings',
         states: {
             MENU: 'menu',
             PLAYING: 'playing',
             PAUSED: 'paused',
-            GAME_OVER: 'gameOver'
+            GAME_OVER: 'gameOver',
+            REPLAY: 'replay',
+            EDITOR: 'editor'
         }
     },
     controls: {
@@ -40,21 +87,119 @@ const gameConfig = {
             left: ['ArrowLeft', 'KeyA'],
             right: ['ArrowRight', 'KeyD'],
             pause: ['Space'],
-            restart: ['KeyR']
+            restart: ['KeyR'],
+            nextLevel: ['KeyN']
         },
+        versus: [ // split keyboard: each player steers only their own snake
+            { up: ['KeyW'], down: ['KeyS'], left: ['KeyA'], right: ['KeyD'] },
+            { up: ['ArrowUp'], down: ['ArrowDown'], left: ['ArrowLeft'], right: ['ArrowRight'] }
+        ],
+        scheme: 'absolute', // key into controlSchemes, set from the player's settings
+        scanInterval: 1000, // ms each direction stays highlighted in the scanning scheme
+        switchKeys: ['Enter', 'NumpadEnter'], // keys that act as the single switch in the scanning scheme (pause keys still pause)
         touch: {
             minSwipeDistance: 30,
             swipeThreshold: 10
+        },
+        gamepad: { // button and axis numbers follow the Gamepad API's standard mapping
+            deadzone: 0.5, // how far the stick must lean before it steers (0-1)
+            axes: { horizontal: 0, vertical: 1 }, // left stick
+            buttons: {
+                up: [12],
+                down: [13],
+                left: [14],
+                right: [15],
+                pause: [9], // Start
+                restart: [3], // Y / triangle
+                nextLevel: [5], // right bumper
+                turnLeft: [2], // X / square, relative steering only
+                turnRight: [1], // B / circle, relative steering only
+                switch: [0] // A / cross; in the scanning scheme every button is the switch
+            }
         }
     }
 };
 
 // Difficulty Levels
 const difficultyLevels = {
-    easy: { speed: 200, description: 'Slow movement for beginners' },
-    medium: { speed: 150, description: 'Standard game speed' },
-    hard: { speed: 100, description: 'Fast-paced gameplay' },
-    expert: { speed: 75, description: 'Very challenging speed' }
+    easy: { speed: 200, minSpeed: 120, description: 'Slow movement for beginners' },
+    medium: { speed: 150, minSpeed: 75, description: 'Standard game speed' },
+    hard: { speed: 100, minSpeed: 60, description: 'Fast-paced gameplay' },
+    expert: { speed: 75, minSpeed: 50, description: 'Very challenging speed' }
+};
+
+// Speed Ramp Curves (how quickly the game speeds up as the score grows)
+const speedRampCurves = {
+    none: { pointsPerStep: 0, reductionPerStep: 0, description: 'Speed never changes' },
+    gentle: { pointsPerStep: 200, reductionPerStep: 5, description: 'Speeds up slowly' },
+    standard: { pointsPerStep: 100, reductionPerStep: 5, description: 'Speeds up every 100 points' },
+    steep: { pointsPerStep: 50, reductionPerStep: 10, description: 'Speeds up quickly' }
+};
+
+// Board Modes (what happens when the snake reaches the edge of the board)
+const boardModes = {
+    walls: { wrap: false, description: 'Hitting the edge ends the game' },
+    portal: { wrap: true, description: 'Edges wrap around to the opposite side' }
+};
+
+// Control Schemes (how steering input maps onto the snake)
+const controlSchemes = {
+    absolute: { description: 'Each arrow, swipe or D-pad press points the snake that way' },
+    relative: { description: 'Left and right turn the snake from where it is heading' },
+    scanning: { description: 'One switch: safe directions light up in turn, press to take one' }
+};
+
+// Keyboard Layout Presets
+// Bindings are KeyboardEvent.code values, which name physical keys by where they sit on a US QWERTY
+// board whatever the layout; labels give the letters those keys carry on the layout, for display.
+const keyboardLayouts = {
+    qwerty: {
+        label: 'QWERTY',
+        description: 'W A S D to steer',
+        keyboard: {
+            up: ['ArrowUp', 'KeyW'],
+            down: ['ArrowDown', 'KeyS'],
+            left: ['ArrowLeft', 'KeyA'],
+            right: ['ArrowRight', 'KeyD'],
+            pause: ['Space'],
+            restart: ['KeyR'],
+            nextLevel: ['KeyN']
+        },
+        labels: {}
+    },
+    azerty: {
+        // Z Q S D sit where W A S D do on QWERTY, and R and N don't move, so only the labels differ
+        label: 'AZERTY',
+        description: 'Z Q S D to steer',
+        keyboard: {
+            up: ['ArrowUp', 'KeyW'],
+            down: ['ArrowDown', 'KeyS'],
+            left: ['ArrowLeft', 'KeyA'],
+            right: ['ArrowRight', 'KeyD'],
+            pause: ['Space'],
+            restart: ['KeyR'],
+            nextLevel: ['KeyN']
+        },
+        labels: { KeyQ: 'A', KeyW: 'Z', KeyA: 'Q', KeyZ: 'W', Semicolon: 'M', KeyM: ',' }
+    },
+    dvorak: {
+        label: 'Dvorak',
+        description: ', A O E to steer; R and N where Dvorak prints them',
+        keyboard: {
+            up: ['ArrowUp', 'KeyW'],
+            down: ['ArrowDown', 'KeyS'],
+            left: ['ArrowLeft', 'KeyA'],
+            right: ['ArrowRight', 'KeyD'],
+            pause: ['Space'],
+            restart: ['KeyO'],
+            nextLevel: ['KeyL']
+        },
+        labels: {
+            KeyQ: "'", KeyW: ',', KeyE: '.', KeyR: 'P', KeyT: 'Y', KeyY: 'F', KeyU: 'G', KeyI: 'C', KeyO: 'R', KeyP: 'L',
+            KeyS: 'O', KeyD: 'E', KeyF: 'U', KeyG: 'I', KeyH: 'D', KeyJ: 'H', KeyK: 'T', KeyL: 'N', Semicolon: 'S',
+            KeyZ: ';', KeyX: 'Q', KeyC: 'J', KeyV: 'K', KeyB: 'X', KeyN: 'B'
+        }
+    }
 };
 
 // Direction Constants
@@ -65,6 +210,108 @@ const DIRECTIONS = {
     RIGHT: { x: 1, y: 0, name: 'right' }
 };
 
+// Seeded Pseudo-Random Number Generator (mulberry32)
+// All game randomness must come from a SeededRandom so a game can be reproduced from its seed.
+class SeededRandom {
+    /**
+     * @param {number|string} [seed] - Initial seed
+     */
+    constructor(seed = 0) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Seed the generator
+     * @param {number|string} seed - Numeric seed or any text (hashed to 32 bits)
+     */
+    setSeed(seed) {
+        this.seed = this.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Convert a seed value into an unsigned 32-bit integer
+     * @param {number|string} seed - Seed value
+     * @returns {number} Normalized seed
+     */
+    normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+        
+        const text = String(seed);
+        if (/^\d+$/.test(text)) {
+            return parseInt(text, 10) >>> 0;
+        }
+        
+        // FNV-1a hash for text seeds such as "daily-2024-01-01"
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Create a fresh seed for an unseeded game
+     * @returns {number} New seed
+     */
+    generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Get the next random number
+     * @returns {number} Random number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random integer
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} Random element
+     */
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * Get generator state for saving/loading
+     * @returns {Object} Generator state
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Restore generator from saved state
+     * @param {Object} state - Generator state to restore
+     */
+    setState(state) {
+        this.seed = state.seed >>> 0;
+        this.state = state.state >>> 0;
+    }
+}
+
+// Shared generator used by the browser game
+const rng = new SeededRandom();
+
 // Utility Functions
 const utils = {
     /**
@@ -99,14 +346,48 @@ const utils = {
                position.y < gameConfig.board.rows;
     },
 
+    /**
+     * Wrap a position onto the board, as portal walls do
+     * @param {Object} position - Position that may be off the board
+     * @returns {Object} Position on the board
+     */
+    wrapPosition(position) {
+        const columns = gameConfig.board.columns;
+        const rows = gameConfig.board.rows;
+        return this.createPosition(
+            ((position.x % columns) + columns) % columns,
+            ((position.y % rows) + rows) % rows
+        );
+    },
+
+    /**
+     * Get the position one step from another, wrapping in portal mode
+     * @param {Object} position - Starting position
+     * @param {Object} direction - Direction to step in
+     * @returns {Object} Neighbouring position (may be off the board when walls are solid)
+     */
+    getNeighbourPosition(position, direction) {
+        const next = this.createPosition(position.x + direction.x, position.y + direction.y);
+        return gameConfig.board.wrap ? this.wrapPosition(next) : next;
+    },
+
+    /**
+     * Get the name of the current board mode
+     * @returns {string} Key into boardModes
+     */
+    getBoardMode() {
+        return gameConfig.board.wrap ? 'portal' : 'walls';
+    },
+
     /**
      * Generate a random position within the game board
+     * @param {SeededRandom} [random] - Random source (defaults to the shared generator)
      * @returns {Object} Random position
      */
-    getRandomPosition() {
+    getRandomPosition(random = rng) {
         return this.createPosition(
-            Math.floor(Math.random() * gameConfig.board.columns),
-            Math.floor(Math.random() * gameConfig.board.rows)
+            random.nextInt(gameConfig.board.columns),
+            random.nextInt(gameConfig.board.rows)
         );
     },
 
@@ -157,6 +438,27 @@ const utils = {
         return this.getOppositeDirection(dir1) === dir2;
     },
 
+    /**
+     * Get the direction a quarter turn from another
+     * @param {Object} direction - Direction being turned from
+     * @param {string} turn - 'left' (anticlockwise) or 'right' (clockwise)
+     * @returns {Object} Direction after the turn
+     */
+    rotateDirection(direction, turn) {
+        const x = turn === 'left' ? direction.y : -direction.y;
+        const y = turn === 'left' ? -direction.x : direction.x;
+        return Object.values(DIRECTIONS).find(candidate => candidate.x === x && candidate.y === y);
+    },
+
+    /**
+     * Look up a direction constant by name
+     * @param {string} name - Direction name ('up', 'down', 'left', 'right')
+     * @returns {Object|null} Direction object or null if unknown
+     */
+    getDirectionByName(name) {
+        return Object.values(DIRECTIONS).find(direction => direction.name === name) || null;
+    },
+
     /**
      * Calculate distance between two positions
      * @param {Object} pos1 - First position
@@ -164,8 +466,15 @@ const utils = {
      * @returns {number} Distance between positions
      */
     calculateDistance(pos1, pos2) {
-        const dx = pos1.x - pos2.x;
-        const dy = pos1.y - pos2.y;
+        let dx = Math.abs(pos1.x - pos2.x);
+        let dy = Math.abs(pos1.y - pos2.y);
+        
+        // With portal walls the short way round may cross an edge
+        if (gameConfig.board.wrap) {
+            dx = Math.min(dx, gameConfig.board.columns - dx);
+            dy = Math.min(dy, gameConfig.board.rows - dy);
+        }
+        
         return Math.sqrt(dx * dx + dy * dy);
     },
 
@@ -185,9 +494,75 @@ const utils = {
      * @returns {string} Unique identifier
      */
     generateId() {
+        // Not from the seeded rng: an ID must never shift the game's random sequence
         return Date.now().toString(36) + Math.random().toString(36).substr(2);
     },
 
+    /**
+     * Capture the configuration values that affect the simulation
+     * @returns {Object} Config snapshot
+     */
+    snapshotConfig() {
+        return {
+            board: {
+                width: gameConfig.board.width,
+                height: gameConfig.board.height,
+                cellSize: gameConfig.board.cellSize,
+                wrap: gameConfig.board.wrap
+            },
+            snake: {
+                initialLength: gameConfig.snake.initialLength,
+                speed: gameConfig.snake.speed,
+                minSpeed: gameConfig.snake.minSpeed,
+                turnBuffer: gameConfig.snake.turnBuffer,
+                speedRamp: { ...gameConfig.snake.speedRamp }
+            },
+            food: {
+                points: gameConfig.food.points,
+                maxItems: gameConfig.food.maxItems,
+                growth: { ...gameConfig.food.growth },
+                spawnTable: gameConfig.food.spawnTable.map(entry => ({ ...entry }))
+            }
+        };
+    },
+
+    /**
+     * Write a config snapshot into gameConfig
+     * @param {Object} config - Config snapshot
+     * @returns {Object} Snapshot of the values that were replaced
+     */
+    applyConfig(config) {
+        const previous = this.snapshotConfig();
+        
+        Object.assign(gameConfig.board, config.board);
+        Object.assign(gameConfig.snake, config.snake);
+        Object.assign(gameConfig.food, config.food);
+        
+        return previous;
+    },
+
+    /**
+     * Resize the board to a number of cells, keeping the cell size
+     * @param {number} columns - Board width in cells
+     * @param {number} rows - Board height in cells
+     */
+    setBoardSize(columns, rows) {
+        gameConfig.board.width = columns * gameConfig.board.cellSize;
+        gameConfig.board.height = rows * gameConfig.board.cellSize;
+    },
+
+    /**
+     * Read a query string parameter from the page URL
+     * @param {string} name - Parameter name
+     * @returns {string|null} Parameter value or null if absent
+     */
+    getUrlParameter(name) {
+        if (typeof window === 'undefined' || !window.location) {
+            return null;
+        }
+        return new URLSearchParams(window.location.search).get(name);
+    },
+
     /**
      * Debounce function calls
      * @param {Function} func - Function to debounce
@@ -228,23 +603,35 @@ const utils = {
 
 // Local Storage Helper
 const storage = {
+    /**
+     * Get the localStorage key for a board mode's high score
+     * @param {string} [mode] - Board mode (defaults to the classic walls table)
+     * @returns {string} Storage key
+     */
+    getHighScoreKey(mode = 'walls') {
+        // The classic table keeps its original key so existing high scores carry over
+        return mode === 'walls' ? gameConfig.game.highScoreKey : `${gameConfig.game.highScoreKey}_${mode}`;
+    },
+
     /**
      * Get high score from localStorage
+     * @param {string} [mode] - Board mode whose table to read
      * @returns {number} High score
      */
-    getHighScore() {
-        const saved = localStorage.getItem(gameConfig.game.highScoreKey);
+    getHighScore(mode) {
+        const saved = localStorage.getItem(this.getHighScoreKey(mode));
         return saved ? parseInt(saved, 10) : 0;
     },
 
     /**
      * Save high score to localStorage
      * @param {number} score - Score to save
+     * @param {string} [mode] - Board mode whose table to update
      */
-    setHighScore(score) {
-        const currentHigh = this.getHighScore();
+    setHighScore(score, mode) {
+        const currentHigh = this.getHighScore(mode);
         if (score > currentHigh) {
-            localStorage.setItem(gameConfig.game.highScoreKey, score.toString());
+            localStorage.setItem(this.getHighScoreKey(mode), score.toString());
             return true; // New high score
         }
         return false;
@@ -256,10 +643,23 @@ const storage = {
      */
     getSettings() {
         const saved = localStorage.getItem('snakeGameSettings');
-        return saved ? JSON.parse(saved) : {
+        const defaults = {
             difficulty: 'medium',
-            soundEnabled: true
+            speedRamp: 'standard',
+            startingLength: 3,
+            boardMode: 'walls',
+            cpuDifficulty: 'medium',
+            cpuRivals: 1,
+            soundEnabled: true,
+            controlScheme: 'absolute',
+            scanInterval: 1000,
+            announcements: 'standard',
+            smoothMovement: true,
+            seed: null // null plays a fresh random seed every game
         };
+        
+        // Merge so settings saved by older versions pick up new options
+        return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
     },
 
     /**
@@ -268,6 +668,140 @@ const storage = {
      */
     setSettings(settings) {
         localStorage.setItem('snakeGameSettings', JSON.stringify(settings));
+    },
+
+    /**
+     * Get stored replays from localStorage
+     * @returns {Object} Last and best replays (null when missing)
+     */
+    getReplays() {
+        const saved = localStorage.getItem(gameConfig.game.replayKey);
+        return saved ? JSON.parse(saved) : { last: null, best: null };
+    },
+
+    /**
+     * Save a finished game's replay, keeping it as best if it scored highest
+     * @param {Object} replay - Replay to save
+     */
+    saveReplay(replay) {
+        const replays = this.getReplays();
+        replays.last = replay;
+        // Versus games don't compete for the best single-player run
+        const solo = !replay.players || replay.players === 1;
+        if (solo && (!replays.best || replay.score > replays.best.score)) {
+            replays.best = replay;
+        }
+        localStorage.setItem(gameConfig.game.replayKey, JSON.stringify(replays));
+    },
+
+    /**
+     * Get the saved in-progress game from localStorage
+     * @returns {Object|null} Saved snapshot or null if missing or unreadable
+     */
+    getSavedGame() {
+        const saved = localStorage.getItem(gameConfig.game.saveKey);
+        if (!saved) {
+            return null;
+        }
+        
+        try {
+            return JSON.parse(saved);
+        } catch (error) {
+            console.warn('Discarding unreadable saved game');
+            return null;
+        }
+    },
+
+    /**
+     * Save an in-progress game snapshot to localStorage
+     * @param {Object} snapshot - Game snapshot
+     */
+    setSavedGame(snapshot) {
+        localStorage.setItem(gameConfig.game.saveKey, JSON.stringify(snapshot));
+    },
+
+    /**
+     * Remove the saved in-progress game
+     */
+    clearSavedGame() {
+        localStorage.removeItem(gameConfig.game.saveKey);
+    },
+
+    /**
+     * Get campaign progress from localStorage
+     * @returns {Object} Progress ({ cleared: number of levels cleared in order })
+     */
+    getCampaignProgress() {
+        const saved = localStorage.getItem(gameConfig.game.campaignKey);
+        return saved ? { cleared: 0, ...JSON.parse(saved) } : { cleared: 0 };
+    },
+
+    /**
+     * Save campaign progress to localStorage
+     * @param {Object} progress - Campaign progress
+     */
+    setCampaignProgress(progress) {
+        localStorage.setItem(gameConfig.game.campaignKey, JSON.stringify(progress));
+    },
+
+    /**
+     * Get the level being designed in the editor
+     * @returns {Object|null} Level data or null if missing or unreadable
+     */
+    getLevelDraft() {
+        const saved = localStorage.getItem(gameConfig.game.levelDraftKey);
+        if (!saved) {
+            return null;
+        }
+        
+        try {
+            return JSON.parse(saved);
+        } catch (error) {
+            console.warn('Discarding unreadable level draft');
+            return null;
+        }
+    },
+
+    /**
+     * Save the level being designed in the editor
+     * @param {Object} level - Level data
+     */
+    setLevelDraft(level) {
+        localStorage.setItem(gameConfig.game.levelDraftKey, JSON.stringify(level));
+    },
+
+    /**
+     * Get the player's key bindings
+     * @returns {Object|null} Bindings ({ layout, keyboard }) or null if missing or unreadable
+     */
+    getKeyBindings() {
+        const saved = localStorage.getItem(gameConfig.game.keyBindingsKey);
+        if (!saved) {
+            return null;
+        }
+        
+        try {
+            return JSON.parse(saved);
+        } catch (error) {
+            console.warn('Discarding unreadable key bindings');
+            return null;
+        }
+    },
+
+    /**
+     * Save the player's key bindings
+     * @param {Object} bindings - Bindings ({ layout, keyboard })
+     */
+    setKeyBindings(bindings) {
+        localStorage.setItem(gameConfig.game.keyBindingsKey, JSON.stringify(bindings));
+    },
+
+    /**
+     * Check if an in-progress game is saved
+     * @returns {boolean} True if a snapshot exists
+     */
+    hasSavedGame() {
+        return localStorage.getItem(gameConfig.game.saveKey) !== null;
     }
 };
 
@@ -300,9 +834,21 @@ const performance = {
 };
 
 // Export objects for use in other modules
-window.gameConfig = gameConfig;
-window.difficultyLevels = difficultyLevels;
-window.DIRECTIONS = DIRECTIONS;
-window.utils = utils;
-window.storage = storage;
-window.performance = performance;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.gameConfig = gameConfig;
+    window.difficultyLevels = difficultyLevels;
+    window.speedRampCurves = speedRampCurves;
+    window.boardModes = boardModes;
+    window.controlSchemes = controlSchemes;
+    window.keyboardLayouts = keyboardLayouts;
+    window.DIRECTIONS = DIRECTIONS;
+    window.SeededRandom = SeededRandom;
+    window.rng = rng;
+    window.utils = utils;
+    window.storage = storage;
+    window.performance = performance;
+}
+// Under Node the FPS monitor is left out so it doesn't shadow the built-in performance API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { gameConfig, difficultyLevels, speedRampCurves, boardModes, controlSchemes, keyboardLayouts, DIRECTIONS, SeededRandom, rng, utils, storage };
+}
\ No newline at end of file
@@ -0,0 +1,84 @@
+// Bot runner: how headless bot games end
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runBot, HamiltonianBot, Snake, gameConfig } = require('../scripts/headless');
+
+test('a bot that crashes stops the run as crashed, even while validating', () => {
+    const result = runBot({ decide: () => 'up' }, { seed: 3, maxTicks: 1000, validate: true });
+    
+    assert.equal(result.stopReason, 'crashed');
+    assert.equal(result.filled, false);
+});
+
+test('a run stops once the tick limit is reached', () => {
+    const turns = ['down', 'left', 'up', 'right'];
+    const result = runBot({ decide: observation => turns[Math.floor(observation.tick / 2) % turns.length] }, { seed: 3, maxTicks: 50 });
+    
+    assert.equal(result.stopReason, 'maxTicks');
+    assert.equal(result.ticks, 50);
+});
+
+test('the Hamiltonian bot fills a small board', () => {
+    const { width, height } = gameConfig.board;
+    gameConfig.board.width = gameConfig.board.height = 10 * gameConfig.board.cellSize;
+    try {
+        for (const seed of [4, 5]) {
+            const result = runBot(new HamiltonianBot(), { seed: seed, maxTicks: 200000, validate: true });
+            assert.equal(result.stopReason, 'filled', `seed ${seed}`);
+            assert.equal(result.length, 100);
+        }
+    } finally {
+        gameConfig.board.width = width;
+        gameConfig.board.height = height;
+    }
+});
+
+test('the Hamiltonian bot fills the full-size board within the default tick limit', () => {
+    const result = runBot(new HamiltonianBot(), { seed: 1 });
+    
+    assert.equal(result.stopReason, 'filled');
+    assert.equal(result.length, gameConfig.board.columns * gameConfig.board.rows);
+});
+
+test('hazards are left out of bot runs unless asked for', () => {
+    const spawnTable = gameConfig.food.spawnTable;
+    let types = null;
+    runBot({ decide: () => { types = gameConfig.food.spawnTable.map(entry => entry.type); return 'up'; } }, { seed: 1 });
+    
+    assert.equal(types.includes('bomb') || types.includes('poison'), false);
+    assert.equal(gameConfig.food.spawnTable, spawnTable);
+});
+
+test('validation accepts overlapping segments only when asked to', () => {
+    const snake = new Snake();
+    snake.setState({ body: [{ x: 5, y: 5 }, { x: 6, y: 5 }, { x: 5, y: 5 }], direction: 'left', turnQueue: [], pendingGrowth: 0, length: 3 });
+    
+    assert.deepEqual(snake.validate().issues, ['Duplicate position: 5,5']);
+    assert.equal(snake.validate({ allowOverlap: true }).valid, true);
+});
+
+test('the Hamiltonian bot jumps past a bomb across a portal edge', () => {
+    const observation = {
+        tick: 0,
+        score: 0,
+        scores: [0],
+        board: { columns: 4, rows: 4, wrap: true },
+        snake: { body: [{ x: 0, y: 1 }, { x: 0, y: 2 }], direction: 'up', length: 2 },
+        opponents: [],
+        food: [{ x: 0, y: 0, type: 'bomb', value: 0 }],
+        obstacles: []
+    };
+    const { width, height, wrap } = gameConfig.board;
+    gameConfig.board.width = gameConfig.board.height = 4 * gameConfig.board.cellSize;
+    gameConfig.board.wrap = true;
+    try {
+        const bot = new HamiltonianBot();
+        bot.reset(observation);
+        const decision = bot.decide(observation);
+        assert.ok(['left', 'right'].includes(decision), `decided ${decision}`);
+    } finally {
+        gameConfig.board.width = width;
+        gameConfig.board.height = height;
+        gameConfig.board.wrap = wrap;
+    }
+});
\ No newline at end of file
@@ -0,0 +1,72 @@
+// Collision detection: walls, portal edges, the snake's own body and look-ahead
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Snake, CollisionDetector, DIRECTIONS, gameConfig, utils } = require('../scripts/headless');
+
+const detector = new CollisionDetector();
+
+/**
+ * Build a snake from a list of cells, head first
+ * @param {Array} body - Cells as [x, y]
+ * @param {Object} direction - Direction it is heading
+ * @returns {Snake} Snake
+ */
+function makeSnake(body, direction) {
+    const snake = new Snake();
+    snake.setState({ body: body.map(([x, y]) => ({ x, y })), direction: direction, turnQueue: [], pendingGrowth: 0, length: body.length });
+    return snake;
+}
+
+test('leaving the board is a boundary collision on each side', () => {
+    assert.equal(detector.checkBoundaryCollision({ x: -1, y: 5 }).side, 'left');
+    assert.equal(detector.checkBoundaryCollision({ x: gameConfig.board.columns, y: 5 }).side, 'right');
+    assert.equal(detector.checkBoundaryCollision({ x: 5, y: -1 }).side, 'top');
+    assert.equal(detector.checkBoundaryCollision({ x: 5, y: gameConfig.board.rows }).side, 'bottom');
+    assert.equal(detector.checkBoundaryCollision({ x: 0, y: 0 }).detected, false);
+});
+
+test('portal walls wrap moves instead of ending the game', () => {
+    gameConfig.board.wrap = true;
+    try {
+        const snake = makeSnake([[0, 5], [1, 5]], DIRECTIONS.LEFT);
+        assert.deepEqual(snake.getNextHeadPosition(), { x: gameConfig.board.columns - 1, y: 5 });
+        assert.equal(detector.predictCollision(snake, []).willEndGame, false);
+    } finally {
+        gameConfig.board.wrap = false;
+    }
+});
+
+test('a head on its own body is a self collision', () => {
+    const snake = makeSnake([[5, 5], [6, 5], [6, 6], [5, 6], [5, 5]], DIRECTIONS.UP);
+    const collisions = detector.checkAllCollisions(snake, []);
+    
+    assert.equal(collisions.self.detected, true);
+    assert.equal(collisions.self.segmentIndex, 4);
+    assert.equal(collisions.gameEnding, true);
+});
+
+test('the next move is predicted into walls and the body', () => {
+    const atWall = makeSnake([[0, 5], [1, 5]], DIRECTIONS.LEFT);
+    assert.equal(detector.predictCollision(atWall, []).boundary.detected, true);
+    
+    const curled = makeSnake([[5, 5], [6, 5], [6, 6], [5, 6], [4, 6]], DIRECTIONS.LEFT);
+    curled.changeDirection(DIRECTIONS.DOWN);
+    assert.equal(detector.predictCollision(curled, []).self.detected, true);
+});
+
+test('moving into the cell the tail is leaving is safe', () => {
+    const snake = makeSnake([[5, 5], [6, 5], [6, 6], [5, 6]], DIRECTIONS.LEFT);
+    snake.changeDirection(DIRECTIONS.DOWN);
+    snake.move();
+    
+    assert.deepEqual(snake.getHead(), { x: 5, y: 6 });
+    assert.equal(detector.checkAllCollisions(snake, []).gameEnding, false);
+});
+
+test('safe positions leave out the cells that would end the game', () => {
+    const snake = makeSnake([[0, 0], [1, 0], [2, 0]], DIRECTIONS.LEFT);
+    const safe = detector.getSafePositions(snake).filter(move => move.canMove).map(move => move.direction);
+    
+    assert.deepEqual(safe, [DIRECTIONS.DOWN]);
+    assert.ok(utils.isValidPosition({ x: 0, y: 1 }));
+});
\ No newline at end of file
@@ -0,0 +1,115 @@
+// Timed effects: stacking rules, expiry in game time, saved state and shields in play
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EffectManager, GameEngine, DIRECTIONS, powerUps, gameConfig } = require('../scripts/headless');
+
+// Plain food only, so nothing but the test hands out power-ups
+gameConfig.food.spawnTable = [{ type: 'normal', weight: 1, minScore: 0, lifetime: 0, maxConcurrent: 0 }];
+
+test('refreshing power-ups restart their timer', () => {
+    const effects = new EffectManager();
+    effects.add('speed');
+    effects.tick(3000);
+    const effect = effects.add('speed');
+    
+    assert.equal(effect.remaining, powerUps.speed.duration);
+    assert.equal(effects.getActive().length, 1);
+});
+
+test('extending power-ups add their duration to the time left', () => {
+    const effects = new EffectManager();
+    effects.add('multiplier');
+    effects.tick(4000);
+    const effect = effects.add('multiplier');
+    
+    assert.equal(effect.remaining, powerUps.multiplier.duration * 2 - 4000);
+});
+
+test('charges stack up to the limit and are used one at a time', () => {
+    const effects = new EffectManager();
+    for (let i = 0; i < powerUps.shield.maxCharges + 2; i++) {
+        effects.add('shield', 1);
+    }
+    assert.equal(effects.find('shield', 1).charges, powerUps.shield.maxCharges);
+    
+    // Shields never run out on their own
+    effects.tick(60000);
+    assert.equal(effects.isActive('shield', 1), true);
+    
+    assert.equal(effects.useCharge('shield', 0), false);
+    for (let i = 0; i < powerUps.shield.maxCharges; i++) {
+        assert.equal(effects.useCharge('shield', 1), true);
+    }
+    assert.equal(effects.isActive('shield'), false);
+    assert.equal(effects.useCharge('shield', 1), false);
+});
+
+test('instant and unknown power-ups are not tracked', () => {
+    const effects = new EffectManager();
+    
+    assert.equal(effects.add('shrink'), null);
+    assert.equal(effects.add('teleport'), null);
+    assert.deepEqual(effects.getActive(), []);
+});
+
+test('timed effects expire in game time and are reported once', () => {
+    const effects = new EffectManager();
+    effects.add('ghost', 0);
+    effects.add('slow', 1);
+    
+    assert.deepEqual(effects.tick(powerUps.ghost.duration - 1), []);
+    const expired = effects.tick(1);
+    assert.deepEqual(expired.map(effect => effect.type), ['ghost']);
+    assert.equal(effects.isActive('ghost'), false);
+    assert.equal(effects.isActive('slow', 1), true);
+    assert.equal(effects.isActive('slow', 0), false);
+    assert.deepEqual(effects.tick(1), []);
+});
+
+test('effects belong to the snake that ate the power-up', () => {
+    const effects = new EffectManager();
+    effects.add('magnet', 0);
+    effects.add('magnet', 1);
+    effects.add('ghost', 1);
+    
+    assert.equal(effects.getActive(1).length, 2);
+    effects.clearPlayer(1);
+    assert.deepEqual(effects.getActive().map(effect => [effect.type, effect.player]), [['magnet', 0]]);
+});
+
+test('saved effects restore as copies, dropping unknown power-ups', () => {
+    const effects = new EffectManager();
+    effects.add('multiplier', 0);
+    effects.add('shield', 1);
+    effects.tick(2500);
+    const state = effects.getState();
+    
+    const restored = new EffectManager();
+    restored.setState([...state, { type: 'teleport', player: 0, remaining: 100, charges: 0 }]);
+    assert.deepEqual(restored.getState(), state);
+    
+    restored.tick(1000);
+    assert.equal(state[0].remaining, powerUps.multiplier.duration - 2500);
+});
+
+test('a shield absorbs a wall hit and turns the snake away from the wall', () => {
+    const engine = new GameEngine();
+    engine.reset(5);
+    engine.effects.add('shield', 0);
+    
+    // The head starts mid-board facing right, 14 moves from the right-hand wall
+    for (let i = 0; i < 14; i++) {
+        engine.step();
+    }
+    assert.equal(engine.snake.getHead().x, gameConfig.board.columns - 1);
+    
+    engine.step();
+    assert.equal(engine.isOver(), false);
+    assert.equal(engine.effects.isActive('shield', 0), false);
+    assert.equal(engine.snake.getHead().x, gameConfig.board.columns - 1);
+    
+    engine.step();
+    assert.equal(engine.isOver(), false);
+    assert.equal(engine.snake.getHead().x, gameConfig.board.columns - 1);
+    assert.notEqual(engine.snake.direction, DIRECTIONS.RIGHT);
+});
\ No newline at end of file
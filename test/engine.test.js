@@ -0,0 +1,130 @@
+// Game engine: ticks, meals and growth, crashes and deterministic seeds
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameEngine, DIRECTIONS, gameConfig } = require('../scripts/headless');
+
+// Plain food only, so meals are predictable
+gameConfig.food.spawnTable = [{ type: 'normal', weight: 1, minScore: 0, lifetime: 0, maxConcurrent: 0 }];
+
+/**
+ * Start a seeded game with the food moved to a chosen cell
+ * @param {Object} [foodPosition] - Cell for the food (left where it spawned if omitted)
+ * @returns {GameEngine} Engine
+ */
+function startGame(foodPosition = null) {
+    const engine = new GameEngine();
+    engine.reset(42);
+    if (foodPosition) {
+        engine.foods.getItems()[0].position = foodPosition;
+    }
+    return engine;
+}
+
+test('each step moves the snake one cell', () => {
+    const engine = startGame({ x: 0, y: 0 });
+    
+    engine.step();
+    assert.equal(engine.tickCount, 1);
+    assert.deepEqual(engine.snake.getHead(), { x: 16, y: 15 });
+    
+    engine.changeDirection(DIRECTIONS.DOWN);
+    engine.step();
+    assert.deepEqual(engine.snake.getHead(), { x: 16, y: 16 });
+});
+
+test('eating food scores, grows the snake on the next move and spawns new food', () => {
+    const engine = startGame({ x: 16, y: 15 });
+    
+    const result = engine.step();
+    assert.equal(result.meals.length, 1);
+    assert.equal(engine.score, gameConfig.food.points);
+    assert.equal(engine.snake.getPendingGrowth(), 1);
+    assert.notDeepEqual(engine.foods.getItems()[0].position, { x: 16, y: 15 });
+    
+    engine.step();
+    assert.equal(engine.snake.getLength(), gameConfig.snake.initialLength + 1);
+});
+
+test('running into the wall ends the game', () => {
+    const engine = startGame({ x: 0, y: 0 });
+    engine.changeDirection(DIRECTIONS.DOWN);
+    
+    let ticks = 0;
+    while (!engine.isOver() && ticks < 100) {
+        engine.step();
+        ticks++;
+    }
+    assert.equal(engine.isOver(), true);
+    assert.equal(ticks, gameConfig.board.rows - 15);
+    assert.equal(engine.step().gameOver, true); // a finished game stays finished
+});
+
+test('turning back into the body ends the game', () => {
+    const engine = startGame({ x: 0, y: 0 });
+    engine.snake.grow(2);
+    engine.step();
+    engine.step();
+    
+    engine.changeDirection(DIRECTIONS.UP);
+    engine.changeDirection(DIRECTIONS.LEFT);
+    engine.changeDirection(DIRECTIONS.DOWN);
+    for (let i = 0; i < 3; i++) {
+        engine.step();
+    }
+    assert.equal(engine.isOver(), true);
+    assert.equal(engine.lastCollisions.self.detected, true);
+});
+
+test('the same seed and inputs play the same game', () => {
+    const play = () => {
+        const engine = new GameEngine();
+        engine.reset(1234);
+        const turns = [DIRECTIONS.DOWN, DIRECTIONS.LEFT, DIRECTIONS.UP, DIRECTIONS.RIGHT];
+        for (let tick = 0; tick < 40 && !engine.isOver(); tick++) {
+            if (tick % 5 === 0) {
+                engine.changeDirection(turns[(tick / 5) % turns.length]);
+            }
+            engine.step();
+        }
+        return engine.getState();
+    };
+    
+    assert.deepEqual(play(), play());
+});
+
+test('a saved state restores the game exactly', () => {
+    const engine = startGame();
+    for (let i = 0; i < 5; i++) {
+        engine.step();
+    }
+    
+    const copy = new GameEngine();
+    copy.setState(JSON.parse(JSON.stringify(engine.getState())));
+    engine.step();
+    copy.step();
+    assert.deepEqual(copy.getState(), engine.getState());
+});
+
+test('a save with a crashed rival restores and validates the snakes still playing', () => {
+    const engine = new GameEngine();
+    engine.setRivals(['easy', 'easy']);
+    engine.reset(5);
+    engine.step();
+    
+    // A rival that crashed off the board, and one poisoned down to nothing
+    engine.alive[1] = false;
+    engine.snakes[1].setState({ body: [{ x: -1, y: 23 }, { x: 0, y: 23 }, { x: 0, y: 23 }], direction: 'left', length: 3 });
+    engine.alive[2] = false;
+    engine.snakes[2].setState({ body: [], direction: 'up', length: 0 });
+    
+    const restored = new GameEngine();
+    restored.setState(JSON.parse(JSON.stringify(engine.getState())));
+    assert.deepEqual(restored.alive, [true, false, false]);
+    assert.deepEqual(restored.validate(), { valid: true, issues: [] });
+    
+    // Player 1 passing through itself is only allowed while a ghost
+    restored.snake.setState({ body: [{ x: 5, y: 5 }, { x: 6, y: 5 }, { x: 5, y: 5 }], direction: 'left', length: 3 });
+    assert.equal(restored.validate().valid, false);
+    restored.effects.add('ghost', 0);
+    assert.equal(restored.validate().valid, true);
+});
\ No newline at end of file
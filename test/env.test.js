@@ -0,0 +1,129 @@
+// Learning environment: episodes, actions, rewards, observations and batched environments
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SnakeEnv, VectorEnv, ENV_REWARDS, DIRECTIONS, gameConfig } = require('../scripts/headless');
+
+// Plain food only, so rewards are predictable
+gameConfig.food.spawnTable = [{ type: 'normal', weight: 1, minScore: 0, lifetime: 0, maxConcurrent: 0 }];
+
+/**
+ * Play the same actions through an episode
+ * @param {SnakeEnv} env - Environment
+ * @param {number} seed - Episode seed
+ * @param {Array} actions - Action per step
+ * @returns {Array} Step results
+ */
+function playActions(env, seed, actions) {
+    env.reset(seed);
+    return actions.map(action => env.step(action));
+}
+
+test('reset returns an observation of the advertised shape', () => {
+    for (const encoding of ['grid', 'window', 'features']) {
+        const env = new SnakeEnv({ encoding });
+        const observation = env.reset(1);
+        const size = env.getObservationShape().reduce((total, dimension) => total * dimension, 1);
+        
+        assert.ok(observation instanceof Float32Array);
+        assert.equal(observation.length, size, encoding);
+    }
+});
+
+test('the grid marks the head and body on their own channels', () => {
+    const env = new SnakeEnv();
+    const observation = env.reset(1);
+    const { columns, rows } = gameConfig.board;
+    const plane = columns * rows;
+    
+    assert.equal(observation[15 * columns + 15], 1);
+    assert.equal(observation[plane + 15 * columns + 14], 1);
+    assert.equal(observation[plane + 15 * columns + 13], 1);
+    assert.equal(observation.subarray(0, plane).reduce((sum, value) => sum + value, 0), 1);
+});
+
+test('running into the wall ends the episode with the death penalty', () => {
+    const env = new SnakeEnv({ encoding: 'features' });
+    const results = playActions(env, 7, new Array(15).fill(3));
+    const last = results[results.length - 1];
+    
+    assert.ok(results.slice(0, -1).every(result => !result.done));
+    assert.equal(last.done, true);
+    assert.equal(last.reward, ENV_REWARDS.death);
+    assert.equal(last.info.collision, 'boundary');
+    assert.equal(last.info.truncated, false);
+    assert.throws(() => env.step(3), /call reset\(\) first/);
+});
+
+test('relative actions turn from the current heading', () => {
+    const env = new SnakeEnv({ actionMode: 'relative' });
+    env.reset(1);
+    assert.equal(env.getActionCount(), 3);
+    
+    env.step(1); // left of right is up
+    assert.equal(env.engine.snake.direction, DIRECTIONS.UP);
+    env.step(2); // right of up is right
+    assert.equal(env.engine.snake.direction, DIRECTIONS.RIGHT);
+    env.step(0);
+    assert.equal(env.engine.snake.direction, DIRECTIONS.RIGHT);
+    assert.deepEqual(env.engine.snake.getHead(), { x: 17, y: 14 });
+    
+    assert.throws(() => env.step(3), /Invalid action/);
+});
+
+test('the same seed and actions replay the same episode', () => {
+    const actions = [0, 0, 2, 2, 1, 1, 3, 3, 3, 0];
+    const first = playActions(new SnakeEnv({ encoding: 'window' }), 21, actions);
+    const second = playActions(new SnakeEnv({ encoding: 'window' }), 21, actions);
+    
+    assert.deepEqual(second.map(result => result.reward), first.map(result => result.reward));
+    assert.deepEqual(second.map(result => [...result.observation]), first.map(result => [...result.observation]));
+});
+
+test('shaping rewards follow the distance to the nearest food', () => {
+    const env = new SnakeEnv({ encoding: 'features', rewards: { step: -0.01, closer: 0.1, farther: -0.1 } });
+    env.reset(7);
+    const food = env.getNearestFood();
+    const head = env.engine.snake.getHead();
+    
+    // Seed 7 puts the food up and to the left, so going up closes in
+    assert.ok(food.y < head.y && food.x < head.x);
+    const result = env.step(0);
+    assert.equal(result.reward, -0.01 + 0.1);
+});
+
+test('episodes without food are cut short', () => {
+    const env = new SnakeEnv({ actionMode: 'relative', maxStepsWithoutFood: 6 });
+    env.reset(3);
+    
+    let result = null;
+    for (const action of [1, 1, 1, 1, 1, 1]) {
+        result = env.step(action);
+    }
+    assert.equal(result.done, true);
+    assert.equal(result.info.truncated, true);
+    assert.equal(result.info.collision, null);
+});
+
+test('rejects unknown encodings, action modes and even window sizes', () => {
+    assert.throws(() => new SnakeEnv({ encoding: 'pixels' }), /Unknown observation encoding/);
+    assert.throws(() => new SnakeEnv({ actionMode: 'joystick' }), /Unknown action mode/);
+    assert.throws(() => new SnakeEnv({ encoding: 'window', windowSize: 10 }), /Window size must be odd/);
+});
+
+test('vector environments seed each environment apart and reset finished ones', () => {
+    const vector = new VectorEnv(3);
+    const observations = vector.reset(100);
+    
+    assert.deepEqual([...observations[1]], [...new SnakeEnv().reset(101)]);
+    
+    let result = null;
+    for (let i = 0; i < 15; i++) {
+        result = vector.step([3, 3, 3]);
+    }
+    assert.deepEqual([...result.dones], [1, 1, 1]);
+    assert.ok(result.infos.every(info => info.finalObservation instanceof Float32Array));
+    
+    // Each environment moved on to its next seed: 100 + index + 3
+    assert.deepEqual([...result.observations[0]], [...new SnakeEnv().reset(103)]);
+    assert.equal(vector.envs[2].engine.tickCount, 0);
+});
\ No newline at end of file
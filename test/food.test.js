@@ -0,0 +1,130 @@
+// Moving food: wandering, fleeing and patrolling items, and snakes catching them mid-move
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Food, FoodManager, GameEngine, Level, Snake, SeededRandom, DIRECTIONS, foodBehaviours, gameConfig } = require('../scripts/headless');
+
+// Plain food only, so the engine test controls every item on the board
+gameConfig.food.spawnTable = [{ type: 'normal', weight: 1, minScore: 0, lifetime: 0, maxConcurrent: 0 }];
+
+/**
+ * Put one moving item on the board
+ * @param {FoodManager} foods - Food manager
+ * @param {Object} position - Starting cell
+ * @param {string} behaviour - Behaviour name (key into foodBehaviours)
+ * @returns {Food} The item
+ */
+function addMovingFood(foods, position, behaviour) {
+    const food = new Food(foods.random);
+    food.setPosition(position);
+    food.behaviour = behaviour;
+    foods.items.push(food);
+    return food;
+}
+
+/**
+ * Manhattan distance between two cells
+ * @param {Object} a - First cell
+ * @param {Object} b - Second cell
+ * @returns {number} Distance in cells
+ */
+function cellsApart(a, b) {
+    return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+}
+
+test('food moves once per behaviour interval', () => {
+    const foods = new FoodManager(new SeededRandom(1));
+    const food = addMovingFood(foods, { x: 5, y: 5 }, 'wander');
+    const snake = new Snake();
+    
+    foods.move(foodBehaviours.wander.interval - 1, [snake]);
+    assert.deepEqual(food.getPosition(), { x: 5, y: 5 });
+    assert.equal(food.movedFrom, null);
+    
+    foods.move(1, [snake]);
+    assert.equal(cellsApart(food.getPosition(), { x: 5, y: 5 }), 1);
+    assert.deepEqual(food.movedFrom, { x: 5, y: 5 });
+    
+    // The cell it left is only remembered for the tick it moved in
+    foods.move(1, [snake]);
+    assert.equal(food.movedFrom, null);
+});
+
+test('wandering food never steps into a snake, a wall or another item', () => {
+    const foods = new FoodManager(new SeededRandom(7));
+    const level = new Level({ walls: [[10, 10], [11, 10], [12, 10], [10, 12], [11, 12], [12, 12]], spawn: { x: 20, y: 20 }, goal: { score: 10 } });
+    const snake = new Snake();
+    snake.reset({ x: 14, y: 11, direction: DIRECTIONS.RIGHT });
+    const still = new Food(foods.random);
+    still.setPosition({ x: 11, y: 11 });
+    foods.items.push(still);
+    const food = addMovingFood(foods, { x: 10, y: 11 }, 'wander');
+    
+    const blocked = new Set([...level.getWalls(), ...snake.body, still.getPosition()].map(cell => `${cell.x},${cell.y}`));
+    for (let i = 0; i < 200; i++) {
+        const before = food.getPosition();
+        foods.move(foodBehaviours.wander.interval, [snake], level);
+        const after = food.getPosition();
+        
+        assert.ok(cellsApart(before, after) <= 1);
+        assert.ok(!blocked.has(`${after.x},${after.y}`), `moved onto ${after.x},${after.y}`);
+    }
+});
+
+test('fleeing food backs away from a nearby head and ignores distant ones', () => {
+    const foods = new FoodManager(new SeededRandom(1));
+    const food = addMovingFood(foods, { x: 20, y: 15 }, 'flee');
+    const snake = new Snake(); // head at 15,15
+    
+    foods.move(foodBehaviours.flee.interval, [snake]);
+    assert.deepEqual(food.getPosition(), { x: 21, y: 15 });
+    
+    food.setPosition({ x: 25, y: 25 });
+    foods.move(foodBehaviours.flee.interval, [snake]);
+    assert.deepEqual(food.getPosition(), { x: 25, y: 25 });
+});
+
+test('patrolling food walks its path back and forth', () => {
+    const foods = new FoodManager(new SeededRandom(1));
+    const food = new Food(foods.random);
+    food.setPosition({ x: 2, y: 2 });
+    food.startPatrol([{ x: 2, y: 2 }, { x: 3, y: 2 }, { x: 4, y: 2 }], 0);
+    foods.items.push(food);
+    
+    const visited = [];
+    for (let i = 0; i < 5; i++) {
+        foods.move(foodBehaviours.patrol.interval, []);
+        visited.push(food.getPosition().x);
+    }
+    assert.deepEqual(visited, [3, 4, 3, 2, 3]);
+});
+
+test('patrolling food turns back when its path is blocked', () => {
+    const foods = new FoodManager(new SeededRandom(1));
+    const food = new Food(foods.random);
+    food.setPosition({ x: 10, y: 2 });
+    food.startPatrol([{ x: 10, y: 2 }, { x: 11, y: 2 }, { x: 12, y: 2 }], 1);
+    foods.items.push(food);
+    const snake = new Snake();
+    snake.reset({ x: 12, y: 2, direction: DIRECTIONS.UP }); // covers the end of the path
+    
+    foods.move(foodBehaviours.patrol.interval, [snake]);
+    assert.deepEqual(food.getPosition(), { x: 11, y: 2 });
+    foods.move(foodBehaviours.patrol.interval, [snake]);
+    assert.deepEqual(food.getPosition(), { x: 10, y: 2 });
+});
+
+test('a snake catches food that moves out of the cell its head moves into', () => {
+    const engine = new GameEngine();
+    engine.reset(3);
+    engine.foods.clear();
+    
+    // Due to move this tick, from right in front of the head
+    const food = addMovingFood(engine.foods, { x: 16, y: 15 }, 'wander');
+    food.moveTimer = foodBehaviours.wander.interval;
+    
+    const result = engine.step();
+    assert.deepEqual(engine.snake.getHead(), { x: 16, y: 15 });
+    assert.notDeepEqual(food.getPosition(), { x: 16, y: 15 });
+    assert.ok(result.foodEaten);
+    assert.equal(engine.score, gameConfig.food.points);
+});
\ No newline at end of file
@@ -0,0 +1,143 @@
+// Level layouts: validation, goals, spawn bodies and the JSON format
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Level, LEVEL_SIZE_LIMITS, campaignLevels, DIRECTIONS } = require('../scripts/headless');
+
+/**
+ * Build level data that passes validation, with some fields replaced
+ * @param {Object} changes - Fields to replace
+ * @returns {Object} Level data
+ */
+function levelData(changes = {}) {
+    return {
+        version: 1,
+        id: 'test',
+        name: 'Test Level',
+        columns: 20,
+        rows: 20,
+        walls: [[0, 0], [1, 0]],
+        spawn: { x: 10, y: 10, direction: 'right' },
+        goal: { score: 50 },
+        ...changes
+    };
+}
+
+test('every campaign level is valid', () => {
+    for (const data of campaignLevels) {
+        const validation = new Level(data).validate();
+        assert.deepEqual(validation.issues, [], data.id);
+        assert.equal(validation.valid, true);
+    }
+});
+
+test('board sizes outside the limits are rejected', () => {
+    for (const size of [LEVEL_SIZE_LIMITS.min - 1, LEVEL_SIZE_LIMITS.max + 1, 12.5]) {
+        const validation = new Level(levelData({ columns: size })).validate();
+        assert.equal(validation.valid, false);
+        assert.match(validation.issues[0], /Board size/);
+    }
+});
+
+test('walls must lie on the board', () => {
+    const validation = new Level(levelData({ walls: [[5, 5], [20, 3]] })).validate();
+    
+    assert.deepEqual(validation.issues, ['Wall outside the board: 20,3']);
+});
+
+test('the whole starting body has to fit on open cells', () => {
+    // Head is open, but the tail trails into the wall two cells behind it
+    const walled = new Level(levelData({ walls: [[8, 10]] })).validate();
+    assert.deepEqual(walled.issues, ['Snake spawns on a blocked cell: 8,10']);
+    
+    const offBoard = new Level(levelData({ spawn: { x: 1, y: 5, direction: 'right' } })).validate();
+    assert.deepEqual(offBoard.issues, ['Snake spawns on a blocked cell: -1,5']);
+    
+    const missing = new Level(levelData({ spawn: {} })).validate();
+    assert.deepEqual(missing.issues, ['Missing spawn position']);
+});
+
+test('a level needs a positive score or length goal', () => {
+    assert.equal(new Level(levelData({ goal: {} })).validate().valid, false);
+    assert.equal(new Level(levelData({ goal: { score: 0 } })).validate().valid, false);
+    assert.equal(new Level(levelData({ goal: { length: 10 } })).validate().valid, true);
+});
+
+test('unknown level versions are rejected', () => {
+    const validation = new Level(levelData({ version: 2 })).validate();
+    
+    assert.deepEqual(validation.issues, ['Unsupported level version: 2']);
+});
+
+test('either goal clears the level', () => {
+    const level = new Level(levelData({ goal: { score: 50, length: 10 } }));
+    
+    assert.equal(level.isComplete(49, 9), false);
+    assert.equal(level.isComplete(50, 3), true);
+    assert.equal(level.isComplete(0, 10), true);
+    assert.equal(level.describeGoal(), 'Reach 50 points or length 10');
+});
+
+test('the spawn body trails behind the spawn direction', () => {
+    const level = new Level(levelData({ spawn: { x: 10, y: 10, direction: 'up' } }));
+    
+    assert.equal(level.spawn.direction, DIRECTIONS.UP);
+    assert.deepEqual(level.getSpawnBody(3), [{ x: 10, y: 10 }, { x: 10, y: 11 }, { x: 10, y: 12 }]);
+});
+
+test('walls and the spawn survive a JSON round trip', () => {
+    const level = new Level(levelData({ walls: [[3, 4], { x: 5, y: 6 }] }));
+    const copy = new Level(JSON.parse(JSON.stringify(level)));
+    
+    assert.deepEqual(copy.toJSON(), level.toJSON());
+    assert.deepEqual(copy.toJSON().walls, [[3, 4], [5, 6]]);
+    assert.equal(copy.isWall({ x: 5, y: 6 }), true);
+    assert.equal(copy.isWall({ x: 6, y: 5 }), false);
+});
+
+test('levels carry their own board size', () => {
+    const level = new Level(levelData({ columns: 40, rows: 12, walls: [[39, 11]], spawn: { x: 35, y: 6, direction: 'left' } }));
+    
+    assert.equal(level.validate().valid, true);
+    assert.equal(level.isInside({ x: 39, y: 11 }), true);
+    assert.equal(level.isInside({ x: 12, y: 12 }), false);
+    
+    // A level without a size is laid out for the default board
+    const unsized = new Level({ ...levelData(), columns: undefined, rows: undefined });
+    assert.equal(unsized.columns, LEVEL_SIZE_LIMITS.default);
+    assert.equal(unsized.rows, LEVEL_SIZE_LIMITS.default);
+});
+
+test('imported files with unreadable cells or sizes are rejected', () => {
+    const badCells = new Level(levelData({ walls: [[2, 2], 'oops'] })).validate();
+    assert.deepEqual(badCells.issues, ['Wall outside the board: NaN,NaN']);
+    
+    const halfCell = new Level(levelData({ walls: [[2]] })).validate();
+    assert.deepEqual(halfCell.issues, ['Wall outside the board: 2,undefined']);
+    
+    const textSize = new Level(levelData({ columns: '20' })).validate();
+    assert.equal(textSize.valid, false);
+    assert.match(textSize.issues[0], /Board size/);
+});
+
+test('an exported level file imports back unchanged', () => {
+    const level = new Level(levelData({ columns: 24, rows: 16, walls: [[23, 15], [0, 15]], goal: { length: 12 } }));
+    const file = JSON.stringify(level.toJSON(), null, 2);
+    const imported = new Level(JSON.parse(file));
+    
+    assert.equal(imported.validate().valid, true);
+    assert.deepEqual(imported.toJSON(), level.toJSON());
+});
+
+test('patrol paths must step between neighbouring open cells', () => {
+    const valid = new Level(levelData({ patrols: [[[3, 3], [4, 3], [4, 4]]] })).validate();
+    assert.equal(valid.valid, true);
+    
+    const short = new Level(levelData({ patrols: [[[3, 3]]] })).validate();
+    assert.deepEqual(short.issues, ['Patrol path needs at least two cells']);
+    
+    const skipping = new Level(levelData({ patrols: [[[3, 3], [5, 3]]] })).validate();
+    assert.deepEqual(skipping.issues, ['Patrol path skips a cell: 3,3 to 5,3']);
+    
+    const walled = new Level(levelData({ patrols: [[[2, 0], [1, 0]]] })).validate();
+    assert.deepEqual(walled.issues, ['Patrol path crosses a blocked cell: 1,0']);
+});
\ No newline at end of file
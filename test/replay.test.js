@@ -0,0 +1,63 @@
+// Replays: validation and upgrading replays recorded by older versions
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ReplayPlayer, REPLAY_VERSION, utils } = require('../scripts/headless');
+
+const player = new ReplayPlayer();
+
+/**
+ * Build a minimal replay recorded by a given version
+ * @param {number} version - Replay version
+ * @param {Array} [inputs] - Recorded inputs
+ * @returns {Object} Replay data
+ */
+function makeReplay(version, inputs = [[3, 'down'], [8, 'left']]) {
+    return {
+        version: version,
+        seed: 7,
+        config: utils.snapshotConfig(),
+        level: null,
+        inputs: inputs,
+        finalTick: 20,
+        score: 0
+    };
+}
+
+test('a current replay is valid as recorded', () => {
+    const replay = makeReplay(REPLAY_VERSION);
+    
+    assert.deepEqual(player.validate(replay), { valid: true, issues: [] });
+    assert.deepEqual(replay.inputs, [[3, 'down'], [8, 'left']]);
+});
+
+test('replays before version 4 cannot be reproduced and are rejected', () => {
+    for (const version of [1, 2, 3]) {
+        const validation = player.validate(makeReplay(version));
+        
+        assert.equal(validation.valid, false);
+        assert.deepEqual(validation.issues, [`Unsupported replay version: ${version}`]);
+    }
+});
+
+test('version 4 replays grow one segment per meal', () => {
+    const replay = makeReplay(4);
+    
+    assert.equal(player.validate(replay).valid, true);
+    assert.deepEqual(replay.config.food.growth, { poison: 0, bomb: 0 });
+});
+
+test('version 5 replays keep only each player\'s last change per tick', () => {
+    const replay = makeReplay(5, [[3, 'down'], [3, 'left'], [3, 'up', 1], [9, 'right']]);
+    replay.players = 2;
+    
+    assert.equal(player.validate(replay).valid, true);
+    assert.deepEqual(replay.inputs, [[3, 'left'], [3, 'up', 1], [9, 'right']]);
+});
+
+test('malformed replays are reported', () => {
+    const replay = makeReplay(REPLAY_VERSION, [[2, 'sideways']]);
+    delete replay.seed;
+    
+    assert.deepEqual(player.validate(replay).issues, ['Missing seed', 'Invalid input: [2,"sideways"]']);
+    assert.equal(player.validate(null).valid, false);
+});
\ No newline at end of file
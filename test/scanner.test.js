@@ -0,0 +1,90 @@
+// One-switch scanning: the moves on offer, highlight timing and the straight-on fallback
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameEngine, DIRECTIONS, gameConfig } = require('../scripts/headless');
+const { SwitchScanner } = require('../scripts/scanner');
+
+const interval = gameConfig.controls.scanInterval;
+
+/**
+ * Start a game with the snake's head against the right-hand wall, still facing it
+ * @returns {GameEngine} Engine
+ */
+function engineAtWall() {
+    const engine = new GameEngine();
+    engine.reset(2);
+    engine.foods.clear();
+    for (let i = 0; i < 14; i++) {
+        engine.step();
+    }
+    return engine;
+}
+
+test('offers straight on, then left, then right, highlighting each in turn', () => {
+    const engine = new GameEngine();
+    engine.reset(1);
+    const scanner = new SwitchScanner();
+    scanner.begin(engine);
+    
+    assert.deepEqual(scanner.getCandidates().map(move => move.direction), [DIRECTIONS.RIGHT, DIRECTIONS.UP, DIRECTIONS.DOWN]);
+    assert.deepEqual(scanner.getHighlighted().position, { x: 16, y: 15 });
+    
+    assert.equal(scanner.advance(interval - 1), null);
+    assert.equal(scanner.getHighlighted().direction, DIRECTIONS.RIGHT);
+    assert.equal(scanner.advance(1), null);
+    assert.equal(scanner.getHighlighted().direction, DIRECTIONS.UP);
+    assert.equal(scanner.advance(interval), null);
+    assert.equal(scanner.getHighlighted().direction, DIRECTIONS.DOWN);
+});
+
+test('carries straight on after a full round without a press', () => {
+    const engine = new GameEngine();
+    engine.reset(1);
+    const scanner = new SwitchScanner();
+    scanner.begin(engine);
+    
+    assert.equal(scanner.advance(interval * 3 - 1), null);
+    assert.equal(scanner.advance(1), DIRECTIONS.RIGHT);
+    assert.equal(scanner.isWaiting(), false);
+    assert.deepEqual(scanner.getCandidates(), []);
+});
+
+test('pressing the switch takes the highlighted move', () => {
+    const engine = new GameEngine();
+    engine.reset(1);
+    const scanner = new SwitchScanner();
+    scanner.begin(engine);
+    
+    scanner.advance(interval * 2);
+    assert.equal(scanner.select(), DIRECTIONS.DOWN);
+    assert.equal(scanner.isWaiting(), false);
+    assert.equal(scanner.select(), null);
+    assert.equal(scanner.advance(interval), null);
+});
+
+test('keeps scanning while going straight on would crash', () => {
+    const engine = engineAtWall();
+    const scanner = new SwitchScanner();
+    scanner.begin(engine);
+    
+    assert.deepEqual(scanner.getCandidates().map(move => move.direction), [DIRECTIONS.UP, DIRECTIONS.DOWN]);
+    assert.equal(scanner.advance(interval * 5), null);
+    assert.equal(scanner.isWaiting(), true);
+    assert.equal(scanner.getHighlighted().direction, DIRECTIONS.DOWN);
+    
+    scanner.advance(interval);
+    assert.equal(scanner.select(), DIRECTIONS.UP);
+});
+
+test('offers every move when none is safe', () => {
+    const engine = engineAtWall();
+    const snake = engine.snake;
+    snake.body = [{ x: 29, y: 15 }, { x: 29, y: 14 }, { x: 28, y: 14 }, { x: 28, y: 15 }, { x: 28, y: 16 }, { x: 29, y: 16 }, { x: 29, y: 17 }];
+    const scanner = new SwitchScanner();
+    scanner.begin(engine);
+    
+    assert.equal(scanner.getCandidates().length, 3);
+    assert.deepEqual(scanner.getHighlighted().position, { x: 30, y: 15 });
+    assert.equal(scanner.advance(interval * 3), null);
+    assert.equal(scanner.isWaiting(), true);
+});
\ No newline at end of file
@@ -0,0 +1,91 @@
+// Snake entity: movement, turning, growth and saved state
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Snake, DIRECTIONS, gameConfig } = require('../scripts/headless');
+
+test('a new snake starts in the centre, facing right, with the body trailing behind', () => {
+    const snake = new Snake();
+    
+    assert.deepEqual(snake.getHead(), { x: 15, y: 15 });
+    assert.deepEqual(snake.body, [{ x: 15, y: 15 }, { x: 14, y: 15 }, { x: 13, y: 15 }]);
+    assert.equal(snake.direction, DIRECTIONS.RIGHT);
+    assert.equal(snake.getLength(), gameConfig.snake.initialLength);
+});
+
+test('moving steps the head forward and drops the tail', () => {
+    const snake = new Snake();
+    snake.move();
+    
+    assert.deepEqual(snake.body, [{ x: 16, y: 15 }, { x: 15, y: 15 }, { x: 14, y: 15 }]);
+});
+
+test('turns are queued one per move and can never reverse the snake', () => {
+    const snake = new Snake();
+    
+    assert.equal(snake.changeDirection(DIRECTIONS.LEFT), false);
+    assert.equal(snake.changeDirection(DIRECTIONS.UP), true);
+    assert.equal(snake.changeDirection(DIRECTIONS.LEFT), true);
+    
+    snake.move();
+    assert.deepEqual(snake.getHead(), { x: 15, y: 14 });
+    snake.move();
+    assert.deepEqual(snake.getHead(), { x: 14, y: 14 });
+    assert.equal(snake.direction, DIRECTIONS.LEFT);
+});
+
+test('growth is added one segment per move', () => {
+    const snake = new Snake();
+    snake.grow(2);
+    
+    snake.move();
+    assert.equal(snake.getLength(), 4);
+    assert.equal(snake.getPendingGrowth(), 1);
+    snake.move();
+    assert.equal(snake.getLength(), 5);
+    snake.move();
+    assert.equal(snake.getLength(), 5);
+    assert.deepEqual(snake.getTail(), { x: 14, y: 15 });
+});
+
+test('shrinking never goes below the minimum length', () => {
+    const snake = new Snake();
+    
+    assert.equal(snake.shrink(5, 1), 2);
+    assert.equal(snake.getLength(), 1);
+    assert.equal(snake.validate().valid, true);
+});
+
+test('state round-trips and saves from older versions still load', () => {
+    const snake = new Snake();
+    snake.changeDirection(DIRECTIONS.DOWN);
+    snake.grow(1);
+    
+    const copy = new Snake();
+    copy.setState(JSON.parse(JSON.stringify(snake.getState())));
+    assert.deepEqual(copy.getState(), snake.getState());
+    assert.equal(copy.getNextDirection(), DIRECTIONS.DOWN);
+    
+    // A queue that turns back to the current heading keeps both turns
+    const turning = new Snake();
+    turning.changeDirection(DIRECTIONS.UP);
+    turning.changeDirection(DIRECTIONS.RIGHT);
+    const restored = new Snake();
+    restored.setState(JSON.parse(JSON.stringify(turning.getState())));
+    assert.deepEqual(restored.turnQueue, [DIRECTIONS.UP, DIRECTIONS.RIGHT]);
+    for (let i = 0; i < 2; i++) {
+        turning.move();
+        restored.move();
+    }
+    assert.deepEqual(restored.getHead(), turning.getHead());
+    assert.deepEqual(restored.getHead(), { x: 16, y: 14 });
+    
+    // Before the turn buffer and the growth queue: one queued direction and a growing flag
+    const old = new Snake();
+    old.setState({ body: snake.body, direction: 'right', nextDirection: 'down', growing: true, length: 3 });
+    assert.equal(old.getNextDirection(), DIRECTIONS.DOWN);
+    assert.equal(old.getPendingGrowth(), 1);
+    
+    const straight = new Snake();
+    straight.setState({ body: snake.body, direction: 'right', nextDirection: 'right', growing: false, length: 3 });
+    assert.deepEqual(straight.turnQueue, []);
+});
\ No newline at end of file